@@ -0,0 +1,86 @@
+import TokenExpiryManager from './token-expiry-manager';
+
+export default class AccessTokenCache {
+  /**
+   * @constructor create a cache holding one access token per audience and scope
+   * @param {Object} [options] options of the token refresh schedule, see `TokenExpiryManager`
+   */
+  constructor(options) {
+    this.options = options;
+    this.entries = {};
+    this.pendingRequests = {};
+  }
+
+  /**
+   * @description Get the cache key for an audience and scope
+   * @param {string} audience the audience of the access token
+   * @param {string} [scope] the scopes requested for the access token
+   * @return {string}
+   */
+  static getKey(audience, scope) {
+    return `${audience}|${scope || ''}`;
+  }
+
+  /**
+   * @description Get a cached access token which doesn't need to be refreshed yet
+   * @param {string} key cache key
+   * @return {null|String} access token if cached; null otherwise
+   */
+  get(key) {
+    const entry = this.entries[key];
+    return entry && entry.tokenExpiryManager.getRemainingMillisToTokenExpiry() > 0 ? entry.authResult.accessToken : null;
+  }
+
+  /**
+   * @description Cache an access token and schedule its refresh
+   * @param {string} key cache key
+   * @param {Object} authResult authorization result returned by auth0
+   * @param {Function} refreshFunction called when the access token should be refreshed
+   */
+  set(key, authResult, refreshFunction) {
+    const entry = this.entries[key] || { tokenExpiryManager: new TokenExpiryManager(this.options) };
+    entry.authResult = authResult;
+    entry.tokenExpiryManager.scheduleTokenRefresh(authResult, refreshFunction);
+    this.entries[key] = entry;
+  }
+
+  /**
+   * @description Get the request for a key, starting it only when there is none in flight, so that concurrent callers share it
+   * @param {string} key cache key
+   * @param {Function} requestFunction returns a promise for the access token
+   * @return {Promise<String>}
+   */
+  request(key, requestFunction) {
+    if (!this.pendingRequests[key]) {
+      this.pendingRequests[key] = Promise.resolve()
+      .then(() => requestFunction())
+      .then(accessToken => {
+        delete this.pendingRequests[key];
+        return accessToken;
+      }, error => {
+        delete this.pendingRequests[key];
+        throw error;
+      });
+    }
+    return this.pendingRequests[key];
+  }
+
+  /**
+   * @description Remove an access token and cancel its refresh
+   * @param {string} key cache key
+   */
+  remove(key) {
+    const entry = this.entries[key];
+    if (entry) {
+      entry.tokenExpiryManager.cancelTokenRefresh();
+      delete this.entries[key];
+    }
+  }
+
+  /**
+   * @description Remove all access tokens and cancel their refreshes
+   */
+  clear() {
+    Object.keys(this.entries).forEach(key => this.remove(key));
+  }
+}
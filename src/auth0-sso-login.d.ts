@@ -0,0 +1,238 @@
+// Type definitions of auth0-sso-login, see the README for the description of every option
+
+export interface StorageAdapter {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+export interface AuthorizedOrigin {
+  origin: string;
+  audience?: string;
+  scope?: string;
+}
+
+export interface RetryPolicyConfig {
+  maxAttempts?: number;
+  initialDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: boolean;
+  nonRetryableErrors?: string[];
+  shouldRetry?(error: any, attempt: number): boolean;
+}
+
+export interface LogMessage {
+  title?: string;
+  level?: 'debug' | 'info' | 'warn' | 'error';
+  errorCode?: string;
+  error?: any;
+  timestamp?: string;
+  instanceId?: string;
+  correlationId?: string | null;
+  [field: string]: any;
+}
+
+export interface MetricsReporter {
+  timing(name: string, duration: number, tags: MetricTags): void;
+  count(name: string, value: number, tags: MetricTags): void;
+}
+
+export interface MetricTags {
+  [tag: string]: any;
+}
+
+export interface Hooks {
+  logout?(redirectUri: string): void | Promise<void>;
+  profileRefreshed?(profile: Profile): void | Promise<void>;
+  tokenRefreshed?(): void | Promise<void>;
+  removeLogin?(): void | Promise<void>;
+  log?(message: LogMessage | string): void;
+}
+
+export interface Config {
+  clientId: string;
+  domain: string;
+  audience: string;
+  timeout?: number;
+  domains?: string[];
+  logoutRedirectUri?: string;
+  applicationRoot?: string;
+  explicitConnection?: string | null;
+  flow?: 'implicit' | 'pkce';
+  useRefreshTokens?: boolean;
+  storage?: 'memory' | 'sessionStorage' | 'localStorage' | StorageAdapter;
+  storageNamespace?: string;
+  authorizedOrigins?: Array<string | AuthorizedOrigin>;
+  organization?: string;
+  claimNamespaces?: string[];
+  redirectAllowlist?: string[];
+  profileCacheTtl?: number;
+  popupTimeout?: number;
+  validateTokens?: boolean;
+  jwksUri?: string;
+  clockSkew?: number;
+  synchronizeTabs?: boolean;
+  refreshAhead?: number;
+  idleTimeout?: number;
+  idleWarningTime?: number;
+  retryPolicy?: RetryPolicyConfig;
+  logLevel?: 'debug' | 'info' | 'warn' | 'error';
+  logSinks?: Array<(message: LogMessage | string) => void>;
+  metricsReporters?: MetricsReporter[];
+  hooks?: Hooks;
+}
+
+export interface EnsureLoggedInOptions {
+  enabledHostedLogin?: boolean;
+  forceTokenRefresh?: boolean;
+  redirectUri?: string;
+  explicitConnection?: string;
+  requireValidSession?: boolean;
+  loginMode?: 'redirect' | 'popup';
+  requiredScopes?: string[];
+  appState?: any;
+  organization?: string;
+}
+
+// returned after the return from the universal login, the application should navigate to the redirectUri
+export interface LoginRedirect {
+  redirectUri: string | null;
+  appState?: any;
+}
+
+export interface AccessTokenOptions {
+  audience?: string;
+  scope?: string;
+  forceTokenRefresh?: boolean;
+}
+
+export interface PopupOptions {
+  explicitConnection?: string;
+  timeout?: number;
+}
+
+export interface Profile {
+  sub?: string;
+  user_id?: string;
+  user_metadata?: { [key: string]: any };
+  [claim: string]: any;
+}
+
+export interface Claims {
+  sub?: string;
+  [claim: string]: any;
+}
+
+export interface EventHandlers {
+  loginStarted: (redirectUri: string) => void | Promise<void>;
+  tokenRefreshed: (authResult: any) => void | Promise<void>;
+  profileRefreshed: (profile: Profile) => void | Promise<void>;
+  renewAttempt: (attempt: number) => void | Promise<void>;
+  renewFailed: (error: any, retry: number, delay: number | null) => void | Promise<void>;
+  sessionExpired: (error: any) => void | Promise<void>;
+  idleWarning: (remainingMs: number, extend: () => void) => void | Promise<void>;
+  loginRemoved: () => void | Promise<void>;
+  loggedOut: (redirectUri: string) => void | Promise<void>;
+}
+
+export default class Auth {
+  constructor(config: Config);
+  readonly serverMode: boolean;
+
+  on<E extends keyof EventHandlers>(eventName: E, handler: EventHandlers[E]): this;
+  off<E extends keyof EventHandlers>(eventName: E, handler: EventHandlers[E]): this;
+
+  ensureLoggedIn(configuration?: EnsureLoggedInOptions): Promise<LoginRedirect | void>;
+  loginWithPopup(options?: PopupOptions): Promise<void>;
+  logout(redirectUriOverride?: string): void;
+  switchOrganization(organization: string): Promise<void>;
+  isOrganizationGranted(): boolean;
+  resolveDomain(): Promise<string>;
+
+  getIdToken(): string | null;
+  isAuthenticated(): boolean;
+  getAccessToken(options?: AccessTokenOptions): Promise<string>;
+  getClaims(token?: 'access' | 'id'): Claims | null;
+  hasScope(scope: string): boolean;
+  hasPermission(permission: string): boolean;
+  hasRole(role: string): boolean;
+  fetch(input: string | URL | Request, init?: RequestInit): Promise<Response>;
+
+  getProfile(options?: { forceRefresh?: boolean }): Promise<Profile>;
+  refreshProfile(): Promise<Profile | void>;
+  updateUserMetadata(patch: { [key: string]: any }): Promise<Profile>;
+  linkAccount(secondaryIdToken: string): Promise<Array<{ [key: string]: any }>>;
+
+  extendSession(): void;
+  clearOldNonces(): void;
+}
+
+export class AuthError extends Error {
+  constructor(code: string, message: string, cause?: any);
+  code: string;
+  cause?: any;
+  error?: string;
+  errorDescription?: string;
+}
+
+export class LoginRequiredError extends AuthError {
+  constructor(message: string, cause?: any);
+}
+
+export class ConsentRequiredError extends AuthError {
+  constructor(message: string, cause?: any);
+}
+
+export class UnverifiedEmailError extends AuthError {
+  constructor(message: string, cause?: any);
+}
+
+export class RenewTimeoutError extends AuthError {
+  constructor(message: string, cause?: any);
+}
+
+export class RedirectFailedError extends AuthError {
+  constructor(message: string, cause?: any);
+}
+
+export class OfflineError extends AuthError {
+  constructor(message: string, cause?: any);
+}
+
+export class InsufficientScopeError extends AuthError {
+  constructor(message: string, cause?: any);
+}
+
+export class DomainUnreachableError extends AuthError {
+  constructor(message: string, cause?: any);
+}
+
+export class BrowserRequiredError extends AuthError {
+  constructor(message: string, cause?: any);
+}
+
+export class ProfileError extends AuthError {
+  constructor(message: string, cause?: any);
+}
+
+export class ConfigurationError extends AuthError {
+  constructor(problems: string[]);
+  problems: string[];
+}
+
+export class InMemoryReporter implements MetricsReporter {
+  timings: Array<{ name: string; duration: number; tags: MetricTags }>;
+  counts: Array<{ name: string; value: number; tags: MetricTags }>;
+  timing(name: string, duration: number, tags: MetricTags): void;
+  count(name: string, value: number, tags: MetricTags): void;
+  getTimings(name: string, tags?: MetricTags): Array<{ name: string; duration: number; tags: MetricTags }>;
+  getCount(name: string, tags?: MetricTags): number;
+  clear(): void;
+}
+
+export class PerformanceMarkReporter implements MetricsReporter {
+  constructor(options?: { prefix?: string });
+  timing(name: string, duration: number, tags: MetricTags): void;
+  count(name: string, value: number, tags: MetricTags): void;
+}
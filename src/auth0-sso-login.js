@@ -3,8 +3,50 @@ import jwtManager from 'jsonwebtoken';
 import windowInteraction from './window-interaction';
 import TokenExpiryManager from './token-expiry-manager';
 import RedirectHandler from './redirectHandler';
+import PkceHandler from './pkceHandler';
+import AccessTokenCache from './accessTokenCache';
+import TabSynchronizer from './tabSynchronizer';
+import TokenStorage from './tokenStorage';
+import EventEmitter from './eventEmitter';
+import TokenValidator from './tokenValidator';
+import PopupHandler from './popupHandler';
+import RetryPolicy from './retryPolicy';
+import IdleTracker from './idleTracker';
+import NetworkStatus from './networkStatus';
 import Logger from './logger';
 import Auth0ClientProvider from './auth0ClientProvider';
+import ProfileManager from './profileManager';
+import StorageNamespace from './storageNamespace';
+import Metrics from './metrics';
+import ConfigValidator from './configValidator';
+import Environment from './environment';
+import { toAuthError, RedirectFailedError, OfflineError, InsufficientScopeError, DomainUnreachableError, BrowserRequiredError } from './errors';
+
+export {
+  AuthError, LoginRequiredError, ConsentRequiredError, UnverifiedEmailError, RenewTimeoutError, RedirectFailedError, OfflineError, InsufficientScopeError, DomainUnreachableError, ProfileError,
+  ConfigurationError, BrowserRequiredError
+} from './errors';
+export { default as InMemoryReporter } from './inMemoryReporter';
+export { default as PerformanceMarkReporter } from './performanceMarkReporter';
+
+function browserRequiredError() {
+  return new BrowserRequiredError('The login requires a browser, auth0-sso-login runs in server mode as `window` is not defined.');
+}
+
+// the error of an auth0-js token request, the `original` request error tells a network failure apart
+function toOAuthError(error) {
+  return { error: error.code, errorDescription: error.description, statusCode: error.statusCode, original: error.original };
+}
+
+const events = ['loginStarted', 'tokenRefreshed', 'profileRefreshed', 'renewAttempt', 'renewFailed', 'sessionExpired', 'idleWarning', 'loginRemoved', 'loggedOut'];
+
+// the hooks are listeners of these events, called with the same arguments as before the events existed
+const hookEvents = {
+  logout: { eventName: 'loggedOut', adapter: hook => redirectUri => hook(redirectUri) },
+  profileRefreshed: { eventName: 'profileRefreshed', adapter: hook => profile => hook(profile) },
+  tokenRefreshed: { eventName: 'tokenRefreshed', adapter: hook => () => hook() },
+  removeLogin: { eventName: 'loginRemoved', adapter: hook => () => hook() }
+};
 
 // authentication class
 export default class auth {
@@ -15,25 +57,147 @@ export default class auth {
    * @param {string} config.domain the auth0 domain to login - see https://auth0.com/docs/api-auth/tutorials/client-credentials
    * @param {string} config.audience the auth0 audience - see https://auth0.com/docs/api-auth/tutorials/client-credentials
    * @param {string} [config.timeout=5000] timeout in milliseconds attempting to call auth0 - this can fail when the auth0 domain is blocked
-   * @param {string} [config.logoutRedirectUri=${window.location.origin}/#/logout] the logout URL, which should be accessible by a non-authenticated user, default is `window.location.href`
+   * @param {Array<string>} [config.domains=[domain]] the domains of the tenant in the order they are tried, i.e. a custom domain followed by the auth0 domain,
+   * `ensureLoggedIn` uses the first one which responds
+   * @param {string} [config.logoutRedirectUri=window.location.href] the logout URL, which should be accessible by a non-authenticated user, by default the page on which `logout` is called
    * @param {string} [config.applicationRoot=/] the application root, by default the redirect from universal lock will redirect here before replacing history with the specified redirect.
    * @param {string} [config.explicitConnection] specify an explicit connection to use, which allows bypassing the lock widget
-   * @param {Object} hooks hooks to get callback calls into the login/logout workflow
+   * @param {string} [config.flow=implicit] the OAuth flow used for the universal login, either `implicit` (tokens are returned in the url hash) or `pkce` (authorization code + PKCE, tokens never appear in the url)
+   * @param {string|Object} [config.storage=memory] where the login session is kept, so that it survives page reloads: `memory`, `sessionStorage`, `localStorage`,
+   * or a custom adapter implementing `getItem(key)`, `setItem(key, value)` and `removeItem(key)`
+   * @param {string} [config.storageNamespace=${domain}.${clientId}] namespace of the stored keys and of the tab synchronization, so that several instances can be used on one page
+   * @param {Array<string|Object>} [config.authorizedOrigins=[window.location.origin]] the origins `fetch` sends the token to, either the origin
+   * or an object with the `origin` and the `audience` and `scope` of the token to send to it
+   * @param {string} [config.organization] the Auth0 Organization ID (`org_...`) or name the user logs in to, the `org_id` or `org_name` claim of the tokens is validated against it
+   * @param {Array<string>} [config.claimNamespaces=[]] namespaces of the custom claims, i.e. `https://example.com/` for the `https://example.com/roles` claim read by `hasRole`
+   * @param {Array<string>} [config.redirectAllowlist=[window.location.origin]] the origins, optionally with a path prefix, the universal login may return to
+   * @param {number} [config.profileCacheTtl=300000] time in milliseconds the profile is cached, 0 to retrieve it on every `getProfile`
+   * @param {number} [config.popupTimeout=120000] time in milliseconds to wait for the user to login in the popup, see `loginWithPopup`
+   * @param {boolean} [config.validateTokens=false] validate the signature and claims of every token before it is accepted, requires RS256 signed tokens
+   * @param {string} [config.jwksUri] where the signing keys of the tenant are published, used to validate the tokens, by default the JWKS of the domain the login uses
+   * @param {number} [config.clockSkew=60] tolerated difference in seconds between the client clock and auth0 when validating the tokens
+   * @param {boolean} [config.synchronizeTabs=false] share login, logout and refreshed tokens with the other tabs of the same origin, and let only one tab refresh the token
+   * @param {number} [config.refreshAhead] seconds before the expiry to refresh the token, by default it is refreshed after 2/3 of its lifetime
+   * @param {number} [config.idleTimeout] milliseconds of inactivity after which the user is logged out, by default the session never ends while the tokens can be renewed
+   * @param {number} [config.idleWarningTime=60000] milliseconds before the idle timeout at which the `idleWarning` event is emitted
+   * @param {Object} [config.retryPolicy] how failed token renewals are retried: `maxAttempts` (5), `initialDelay` (1000ms), `maxDelay` (30000ms),
+   * `factor` (2), `jitter` (true), `nonRetryableErrors` (auth0 errors which require a login) and `shouldRetry(error, attempt)`
+   * @param {boolean} [config.useRefreshTokens=false] request an `offline_access` refresh token and use it to renew the tokens instead of the SSO session iframe, requires `flow: 'pkce'` and refresh token rotation enabled for the client
+   * @param {string} [config.logLevel=info] the minimum level of the logged messages: `debug`, `info`, `warn` or `error`
+   * @param {Array<Function>} [config.logSinks] (messageObject) further functions receiving the log messages, i.e. to send them to a log aggregator
+   * @param {Array<Object>} [config.metricsReporters] reporters of the login latency and errors, i.e. the `InMemoryReporter` or `PerformanceMarkReporter`
+   * @param {Object} hooks hooks to get callback calls into the login/logout workflow, each hook is a listener of the matching event, see `on`
    * @param {Function} config.logout (redirectUri) before the redirect to the redirectUri happens (with fallback to logoutRedirectUri and then to window.location.href)
    * @param {Function} config.profileRefreshed (profile) the profile was retrieved, this is an option to store the profile, or update the user interface
    * @param {Function} config.tokenRefreshed the auth token was retrieved, this is an option to store the token for later use
    * @param {Function} config.removeLogin called before logout or when there's a problem with the current user, for example an invalid token
    * @param {Function} config.log (messageObject) allows to override log messages; defaults to log to the console
+   * @throws {ConfigurationError} if `clientId`, `domain` or `audience` are missing, `applicationRoot` or `logoutRedirectUri` are malformed, or a hook is unknown or not a function
    */
   constructor(config) {
     this.config = config || {};
+    ConfigValidator.validate(this.config, Object.keys(hookEvents).concat('log'));
+    // without a browser, i.e. during a server side render, there is never a login and nothing browser-only is done
+    this.serverMode = !Environment.isBrowser();
     this.authResult = null;
+    this.authResultExpiresAt = null;
     let logger = new Logger(config);
     this.logger = logger;
-    this.tokenExpiryManager = new TokenExpiryManager();
-    this.redirectHandler = new RedirectHandler(logger);
+    this.metrics = new Metrics(this.config.metricsReporters);
+    this.events = new EventEmitter(events);
+    const hooks = this.config.hooks || {};
+    Object.keys(hookEvents).filter(hook => hooks[hook]).forEach(hook => {
+      this.events.on(hookEvents[hook].eventName, hookEvents[hook].adapter(hooks[hook]));
+    });
+    this.tokenExpiryManager = new TokenExpiryManager({ refreshAhead: this.config.refreshAhead });
+    this.accessTokenCache = new AccessTokenCache({ refreshAhead: this.config.refreshAhead });
+    this.storageNamespace = new StorageNamespace(this.config);
+    this.redirectHandler = new RedirectHandler(logger, this.config.redirectAllowlist, this.storageNamespace);
+    this.pkceHandler = new PkceHandler(logger, this.storageNamespace);
+    this.popupHandler = new PopupHandler(logger);
+    this.retryPolicy = new RetryPolicy(this.config.retryPolicy);
     this.renewAuthSequencePromise = Promise.resolve();
-    this.auth0ClientProvider = new Auth0ClientProvider(config);
+    this.auth0ClientProvider = new Auth0ClientProvider(this.config);
+    this.profileManager = new ProfileManager(this.config, this.auth0ClientProvider, this.metrics);
+    this.tokenValidator = new TokenValidator(this.config, this.auth0ClientProvider);
+    this.tabSynchronizer = new TabSynchronizer(logger, this.config.synchronizeTabs && !this.serverMode, this.storageNamespace);
+    this.tabSynchronizer.on('tokenRefreshed', message => this.tokenRefreshed(message.authResult, false));
+    this.tabSynchronizer.on('removeLogin', () => this.removeLogin(false));
+    this.tabSynchronizer.on('logout', () => this.removeLogin(false));
+    this.tabSynchronizer.on('refreshOwnerReleased', () => {
+      if (this.authResult) {
+        this.tabSynchronizer.acquireRefreshOwnership();
+      }
+    });
+    this.idleTracker = new IdleTracker(logger, {
+      timeout: this.config.idleTimeout,
+      warningTime: this.config.idleWarningTime,
+      activityKey: this.storageNamespace.key('lastActivity')
+    }, {
+      onWarning: remainingMs => this.events.emit('idleWarning', remainingMs, () => this.extendSession())
+      .catch(error => this.logger.log({ title: 'Failed to fire "Idle Warning" event', error: error })),
+      onTimeout: () => this.logout(),
+      onActive: () => this.resumeTokenRefresh(),
+      onActivity: () => this.tabSynchronizer.publish('activity')
+    });
+    this.refreshDeferred = false;
+    this.requestedScopes = [];
+    this.organization = this.config.organization;
+    this.tabSynchronizer.on('activity', () => this.idleTracker.recordActivity());
+    this.tokenStorage = new TokenStorage(this.config.storage, logger, this.storageNamespace);
+    if (this.serverMode) {
+      return;
+    }
+    window.addEventListener('online', () => this.resumeTokenRefresh());
+    this.restoreSession();
+  }
+
+  /**
+   * @description Add a listener for an event, any number of listeners can be added per event:
+   * - `loginStarted` (redirectUri) the user is sent to the universal login, and returns to the redirectUri afterwards
+   * - `tokenRefreshed` (authResult) a new token was retrieved
+   * - `profileRefreshed` (profile) the profile was retrieved
+   * - `renewAttempt` (attempt) the token is renewed, attempt is the number of the attempt starting at 1
+   * - `renewFailed` (error, retry, delay) renewing the token failed, retry is the number of the failed attempt starting at 0,
+   * delay the milliseconds until the next attempt or null if it isn't retried
+   * - `sessionExpired` (error) the token could not be renewed and the login is removed
+   * - `idleWarning` (remainingMs, extend) the user is inactive and logged out in remainingMs, unless `extend` is called
+   * - `loginRemoved` () the login was removed, i.e. because of a logout in this or another tab
+   * - `loggedOut` (redirectUri) the user is logged out and redirected to the redirectUri
+   * @param {String} eventName the event to listen to
+   * @param {Function} handler called with the event payload, a returned promise is waited for where the event is part of the login
+   * @return {auth} this instance
+   */
+  on(eventName, handler) {
+    this.events.on(eventName, handler);
+    return this;
+  }
+
+  /**
+   * @description Remove a listener added with `on`
+   * @param {String} eventName the event listened to
+   * @param {Function} handler the handler passed to `on`
+   * @return {auth} this instance
+   */
+  off(eventName, handler) {
+    this.events.off(eventName, handler);
+    return this;
+  }
+
+  /**
+   * @description Restore the stored login session, if its token has not expired yet, and restart the token refresh schedule
+   * @return {*|void}
+   */
+  restoreSession() {
+    const session = this.tokenStorage.load();
+    if (!session) {
+      return;
+    }
+    this.authResult = Object.assign({}, session.authResult, { expiresIn: (session.expiresAt - Date.now()) / 1000 });
+    this.authResultExpiresAt = session.expiresAt;
+    this.tokenExpiryManager.restoreSession(session.sessionId, session.clockSkew);
+    this.tokenExpiryManager.scheduleTokenRefresh(this.authResult, () => this.scheduledTokenRefresh());
+    this.idleTracker.start();
   }
 
   /**
@@ -41,38 +205,45 @@ export default class auth {
    * @return {Promise<any>} resolved promise with user profile; rejected promise with error
    */
   refreshProfile() {
-    // If there is no hook defined preemptively looking up the profile doesn't do any good.
-    if (!this.config.hooks || !this.config.hooks.profileRefreshed) {
+    // If there is no listener preemptively looking up the profile doesn't do any good.
+    if (!this.events.hasListeners('profileRefreshed')) {
       return Promise.resolve();
     }
     return this.getProfile()
     .then(profile => {
-      this.config.hooks.profileRefreshed(profile);
+      this.events.emit('profileRefreshed', profile);
     }, error => {
       this.logger.log({ title: 'Error while retrieving user information after successful authentication', errorCode: 'ProfileError', error: error });
     });
   }
 
   /**
-   * @description Get the latest available profile
-   * @return {null|Object} profile if the user was already logged in; null otherwise
+   * @description Get the profile of the logged in user, it is cached for the `profileCacheTtl`. The profile is retrieved from the
+   * Management API if the access token was granted the `read:current_user` scope for it, otherwise from the `/userinfo` endpoint.
+   * @param {Object} [options]
+   * @param {boolean} [options.forceRefresh=false] retrieve the profile even if it is cached
+   * @return {Promise<Object>} resolved promise with the profile; rejected promise with a `ProfileError`
    */
-  getProfile() {
-    return Promise.resolve()
-    .then(() => {
-      let idToken = this.getIdToken();
-      let jwt = jwtManager.decode(idToken);
-      let auth0AccessToken = this.authResult && this.authResult.idToken;
-      if (!jwt || !jwt.sub || !auth0AccessToken) {
-        throw Error('Current idToken or auth0AccessToken is not available.');
-      }
+  getProfile(options) {
+    return this.profileManager.getProfile(this.authResult, options);
+  }
 
-      return new Promise((resolve, reject) => {
-        this.auth0ClientProvider.getManagementClient(auth0AccessToken).getUser(jwt.sub, (error, profile) => {
-          return error ? reject({ title: 'Failed to get profile', error: error }) : resolve(profile);
-        });
-      });
-    });
+  /**
+   * @description Update the `user_metadata` of the logged in user, requires the `update:current_user_metadata` scope for the Management API
+   * @param {Object} patch the metadata properties to set, properties set to null are removed
+   * @return {Promise<Object>} resolved promise with the updated profile; rejected promise with a `ProfileError`
+   */
+  updateUserMetadata(patch) {
+    return this.profileManager.updateUserMetadata(this.authResult, patch);
+  }
+
+  /**
+   * @description Link another account to the logged in user, requires the `update:current_user_identities` scope for the Management API
+   * @param {String} secondaryIdToken the ID token of the account to link
+   * @return {Promise<Array<Object>>} resolved promise with the identities of the user; rejected promise with a `ProfileError`
+   */
+  linkAccount(secondaryIdToken) {
+    return this.profileManager.linkAccount(this.authResult, secondaryIdToken);
   }
 
   /**
@@ -82,9 +253,11 @@ export default class auth {
   getIdToken() {
     let idToken = this.authResult && this.authResult.accessToken;
     try {
-      let validToken = idToken && jwtManager.decode(idToken).exp > Math.floor(Date.now() / 1000) ? idToken : null;
-      if (validToken) {
+      // the `exp` is server time, a client clock which is ahead would consider the token expired too early
+      let validToken = idToken && jwtManager.decode(idToken).exp > Math.floor(this.tokenExpiryManager.getServerTime() / 1000) ? idToken : null;
+      if (validToken && !this.tokenExpiryManager.authorizationSessionExists()) {
         this.tokenExpiryManager.createSession();
+        this.tokenStorage.save(this.authResult, this.authResultExpiresAt, this.tokenExpiryManager.sessionId, this.tokenExpiryManager.clockSkew);
       }
       return validToken;
     } catch (e) {
@@ -94,53 +267,358 @@ export default class auth {
   }
 
   /**
-   * @description Calls a hook once the token got refreshed
+   * @description Check whether the user is logged in with a token which has not expired, never in server mode
+   * @return {boolean}
+   */
+  isAuthenticated() {
+    return !this.serverMode && !!this.getIdToken();
+  }
+
+  /**
+   * @description Get the decoded claims of the current token, i.e. to read custom claims
+   * @param {String} [token=access] `access` for the claims of the access token, `id` for the claims of the ID token
+   * @return {null|Object} the claims if the user is logged in and the token is a JWT; null otherwise
+   */
+  getClaims(token = 'access') {
+    const encodedToken = this.authResult && (token === 'id' ? this.authResult.idToken : this.authResult.accessToken);
+    return (encodedToken && jwtManager.decode(encodedToken)) || null;
+  }
+
+  /**
+   * @description Check whether the current access token was granted a scope
+   * @param {String} scope the scope, i.e. `read:orders`
+   * @return {boolean}
+   */
+  hasScope(scope) {
+    const claims = this.getClaims();
+    const grantedScope = (claims && claims.scope) || (this.authResult && this.authResult.scope) || '';
+    return grantedScope.split(' ').includes(scope);
+  }
+
+  /**
+   * @description Check whether the current access token contains an Auth0 RBAC permission, which requires
+   * `Add Permissions in the Access Token` to be enabled for the API
+   * @param {String} permission the permission, i.e. `delete:orders`
+   * @return {boolean}
+   */
+  hasPermission(permission) {
+    const claims = this.getClaims();
+    return !!(claims && Array.isArray(claims.permissions) && claims.permissions.includes(permission));
+  }
+
+  /**
+   * @description Check whether the user has a role, read from the `roles` claim, with any of the `claimNamespaces`, of the access or ID token.
+   * Auth0 doesn't add roles to the tokens, this requires a rule or action adding the claim.
+   * @param {String} role the role
+   * @return {boolean}
+   */
+  hasRole(role) {
+    const claimNames = ['roles'].concat((this.config.claimNamespaces || []).map(namespace => `${namespace}roles`));
+    return [this.getClaims(), this.getClaims('id')].some(claims => claims && claimNames.some(name => [].concat(claims[name] || []).includes(role)));
+  }
+
+  /**
+   * @description Get the scope to request for the login, which includes the scopes requested by `ensureLoggedIn({ requiredScopes })`
+   * @param {Boolean} offlineAccess whether a refresh token is requested
+   * @return {undefined|String} the scope, undefined for the default scope of auth0-js
+   */
+  getLoginScope(offlineAccess) {
+    const scopes = this.requestedScopes.concat(offlineAccess && this.config.useRefreshTokens ? ['offline_access'] : []);
+    return scopes.length ? ['openid', 'profile', 'email'].concat(scopes).join(' ') : undefined;
+  }
+
+  /**
+   * @description Check that the current ID token was issued for the organization the user logs in to
+   * @return {boolean} true if the token is for the organization or no organization is used; false otherwise
+   */
+  isOrganizationGranted() {
+    return TokenValidator.matchesOrganization(this.getClaims('id'), this.organization);
+  }
+
+  /**
+   * @description Silently get tokens for another organization the user is a member of, using the SSO session. The organization is kept
+   * for every later refresh; if the tokens can't be retrieved the previous organization and tokens are kept.
+   * @param {String} organization the organization ID (`org_...`) or name
+   * @return {Promise<>} resolved promise once the tokens were retrieved; rejected promise with an `AuthError`
+   */
+  switchOrganization(organization) {
+    if (this.serverMode) {
+      return Promise.reject(browserRequiredError());
+    }
+    let previousOrganization;
+    const switchPromise = this.renewAuthSequencePromise
+    .then(() => {
+      this.logger.startCorrelation();
+      previousOrganization = this.organization;
+      this.organization = organization;
+      return this.renewAuth();
+    })
+    .catch(error => {
+      this.logger.log({ title: 'Switching the organization failed', errorCode: 'OrganizationSwitchFailed', organization, error: error });
+      this.organization = previousOrganization;
+      const authError = toAuthError(error);
+      this.metrics.countError(authError, 'switchOrganization');
+      throw authError;
+    });
+
+    this.renewAuthSequencePromise = switchPromise.catch(() => { /* the sequence is never rejected, the caller handles the error */ });
+    return switchPromise;
+  }
+
+  /**
+   * @description Get an access token for an audience and scope. Tokens for other than the configured audience are silently
+   * retrieved with the SSO session, cached and refreshed on their own schedule, concurrent calls share a single request.
+   * @param {Object} [options]
+   * @param {String} [options.audience=config.audience] the audience of the API to call
+   * @param {String} [options.scope] the scopes required for the API call
+   * @param {Boolean} [options.forceTokenRefresh=false] if the token should be refreshed even if it may be still valid
+   * @return {Promise<String>} resolved promise with access token; rejected promise with error
+   */
+  getAccessToken({ audience, scope, forceTokenRefresh } = {}) {
+    if (this.serverMode) {
+      return Promise.reject(browserRequiredError());
+    }
+    const tokenAudience = audience || this.config.audience;
+    const key = AccessTokenCache.getKey(tokenAudience, scope);
+    // concurrent callers share the renewal of the login
+    if (tokenAudience === this.config.audience && !scope) {
+      return this.accessTokenCache.request(key, () => this.ensureLoggedIn({ enabledHostedLogin: false, forceTokenRefresh: !!forceTokenRefresh }).then(() => this.getIdToken()));
+    }
+
+    const accessToken = !forceTokenRefresh && this.accessTokenCache.get(key);
+    if (accessToken) {
+      return Promise.resolve(accessToken);
+    }
+    return this.accessTokenCache.request(key, () => this.renewAccessToken(key, tokenAudience, scope))
+    .catch(error => {
+      throw toAuthError(error);
+    });
+  }
+
+  /**
+   * @description Retrieve an access token with the SSO session and cache it
+   * @param {String} key cache key
+   * @param {String} audience the audience of the access token
+   * @param {String} [scope] the scopes requested for the access token
+   * @return {Promise<String>} access token
+   */
+  renewAccessToken(key, audience, scope) {
+    const options = { audience, responseType: 'token' };
+    if (scope) {
+      options.scope = scope;
+    }
+    return this.renewWithSession(options)
+    .then(authResult => {
+      if (!authResult || !authResult.accessToken) {
+        const noTokenError = { error: 'no_token_available', errorDescription: 'Failed to get valid access token.', audience, scope };
+        throw noTokenError;
+      }
+      this.accessTokenCache.set(key, authResult, () => this.accessTokenCache.request(key, () => this.renewAccessToken(key, audience, scope))
+      .catch(error => {
+        this.logger.log({ title: 'Failed to refresh access token', errorCode: 'AccessTokenRefreshFailed', audience, scope, error: error });
+        this.accessTokenCache.remove(key);
+      }));
+      return authResult.accessToken;
+    });
+  }
+
+  /**
+   * @description Fetch with the bearer token of the current login. The token is only sent to the authorized origins,
+   * requests to other origins are sent unchanged. When the response is a 401 the token is refreshed and the request retried once.
+   * @param {String|URL|Request} resource the url or request to fetch, as for `window.fetch`
+   * @param {Object} [init] the request options, as for `window.fetch`
+   * @return {Promise<Response>} the response of the request
+   */
+  async fetch(resource, init = {}) {
+    if (this.serverMode) {
+      throw browserRequiredError();
+    }
+    // a URL object is neither read nor cloned like a request
+    const input = resource instanceof URL ? resource.href : resource;
+    const target = this.getAuthorizedOrigin(typeof input === 'string' ? input : input.url);
+    if (!target) {
+      return windowInteraction.fetch(input, init);
+    }
+
+    // the body of a request can only be read once, so the retry needs its own copy
+    const retryInput = typeof input === 'string' ? input : input.clone();
+    const response = await windowInteraction.fetch(input, this.withAuthorization(input, init, await this.getFetchToken(target, false)));
+    if (response.status !== 401) {
+      return response;
+    }
+
+    this.logger.log({ title: 'Request was not authorized, refreshing the token and retrying.', url: response.url });
+    return windowInteraction.fetch(retryInput, this.withAuthorization(retryInput, init, await this.getFetchToken(target, true)));
+  }
+
+  /**
+   * @description Find the authorized origin configuration for a url
+   * @param {String} url the requested url
+   * @return {null|Object} the `origin` and optional `audience` and `scope`, if the token may be sent to the url; null otherwise
+   */
+  getAuthorizedOrigin(url) {
+    const origin = new URL(url, window.location.href).origin;
+    const authorizedOrigins = this.config.authorizedOrigins || [window.location.origin];
+    return authorizedOrigins
+    .map(authorizedOrigin => (typeof authorizedOrigin === 'string' ? { origin: authorizedOrigin } : authorizedOrigin))
+    .find(authorizedOrigin => new URL(authorizedOrigin.origin).origin === origin) || null;
+  }
+
+  /**
+   * @description Get the token for a request to an authorized origin. For the configured audience the login is ensured
+   * when there is no token, a forced refresh doesn't fall back to the universal login.
+   * @param {Object} target the authorized origin configuration
+   * @param {Boolean} forceTokenRefresh if the token should be refreshed even if it may be still valid
+   * @return {Promise<null|String>} the token
+   */
+  async getFetchToken(target, forceTokenRefresh) {
+    if (target.audience && (target.audience !== this.config.audience || target.scope)) {
+      return this.getAccessToken({ audience: target.audience, scope: target.scope, forceTokenRefresh });
+    }
+    if (forceTokenRefresh) {
+      await this.ensureLoggedIn({ forceTokenRefresh: true });
+    } else if (!this.getIdToken()) {
+      await this.ensureLoggedIn();
+    }
+    return this.getIdToken();
+  }
+
+  /**
+   * @description Add the authorization header to the request options
+   * @param {String|Request} input the url or request to fetch
+   * @param {Object} init the request options
+   * @param {null|String} token the bearer token
+   * @return {Object} the request options with the authorization header
+   */
+  withAuthorization(input, init, token) {
+    const headers = new Headers(init.headers || (typeof input === 'string' ? undefined : input.headers));
+    if (token) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+    return Object.assign({}, init, { headers });
+  }
+
+  /**
+   * @description Extend the session of an idle user, i.e. when the user confirms the `idleWarning`
+   * @return {*|void}
+   */
+  extendSession() {
+    this.idleTracker.recordActivity();
+  }
+
+  /**
+   * @description Run the token refresh which was deferred while the user was idle or the browser was offline
+   * @return {Promise<>}
+   */
+  resumeTokenRefresh() {
+    if (!this.refreshDeferred) {
+      return Promise.resolve();
+    }
+    this.refreshDeferred = false;
+    return this.scheduledTokenRefresh()
+    .catch(error => this.logger.log({ title: 'Deferred token refresh failed', error: error }));
+  }
+
+  /**
+   * @description Emits the `tokenRefreshed` event once the token got refreshed
    * @param authResult authorization result returned by auth0
+   * @param {Boolean} [shareWithOtherTabs=true] whether the token should be sent to the other tabs
    * @return {Promise<>}
    */
-  tokenRefreshed(authResult) {
+  tokenRefreshed(authResult, shareWithOtherTabs = true) {
     this.authResult = authResult;
-    this.tokenExpiryManager.scheduleTokenRefresh(authResult,
-      () => this.ensureLoggedIn({ enabledHostedLogin: true, forceTokenRefresh: true }));
+    this.authResultExpiresAt = Date.now() + authResult.expiresIn * 1000;
+    // scheduling the refresh estimates the clock skew, which is stored with the session
+    this.tokenExpiryManager.scheduleTokenRefresh(authResult, () => this.scheduledTokenRefresh());
+    this.tokenStorage.save(authResult, this.authResultExpiresAt, this.tokenExpiryManager.sessionId, this.tokenExpiryManager.clockSkew);
+    this.idleTracker.start();
+    if (shareWithOtherTabs) {
+      this.tabSynchronizer.publish('tokenRefreshed', { authResult });
+    }
+    return this.events.emit('tokenRefreshed', authResult);
+  }
 
-    if (this.config.hooks && this.config.hooks.tokenRefreshed) {
-      return this.config.hooks.tokenRefreshed();
+  /**
+   * @description Refresh the token when it is due, unless another tab owns the refresh. That tab shares the new token,
+   * which reschedules the refresh here; if it doesn't, because the tab was closed, this tab checks again to take over.
+   * The timer doesn't handle the result, so a failed refresh is only logged; one which failed because auth0 couldn't be
+   * reached is attempted again, the login is kept meanwhile.
+   * @return {Promise<>} resolved promise once the refresh settled
+   */
+  scheduledTokenRefresh() {
+    if (this.idleTracker.isIdle()) {
+      this.logger.log({ title: 'Deferring token refresh while the user is idle' });
+      this.refreshDeferred = true;
+      return Promise.resolve();
     }
-    return Promise.resolve();
+    if (NetworkStatus.isOffline()) {
+      this.logger.log({ title: 'Pausing token refresh until the browser is online' });
+      this.refreshDeferred = true;
+      return Promise.resolve();
+    }
+    return this.tabSynchronizer.requestRefreshOwnership()
+    .then(owner => {
+      if (!owner) {
+        this.tokenExpiryManager.postponeTokenRefresh(() => this.scheduledTokenRefresh(), TabSynchronizer.leaseDuration);
+        return undefined;
+      }
+      return this.ensureLoggedIn({ enabledHostedLogin: true, forceTokenRefresh: true })
+      .catch(error => {
+        this.logger.log({ title: 'Scheduled token refresh failed', errorCode: 'ScheduledRefreshFailed', error: error });
+        if ((error instanceof OfflineError || error instanceof DomainUnreachableError) && this.authResult) {
+          // the browser may never report to be offline, so the `online` event is not waited for
+          this.refreshDeferred = false;
+          this.tokenExpiryManager.postponeTokenRefresh(() => this.scheduledTokenRefresh(), this.retryPolicy.config.maxDelay);
+        }
+      });
+    });
   }
 
   /**
-   * Calls a hook once the login should be removed
+   * Emits the `loginRemoved` event once the login should be removed
+   * @param {Boolean} [shareWithOtherTabs=true] whether the other tabs should remove the login as well
    * @return {Promise<>}
    */
-  removeLogin() {
+  removeLogin(shareWithOtherTabs = true) {
     this.tokenExpiryManager.cancelTokenRefresh();
+    this.idleTracker.stop();
+    this.refreshDeferred = false;
+    this.accessTokenCache.clear();
+    this.profileManager.invalidate();
+    this.tokenStorage.clear();
     this.authResult = null;
-
-    if (this.config.hooks && this.config.hooks.removeLogin) {
-      return this.config.hooks.removeLogin();
+    if (shareWithOtherTabs) {
+      this.tabSynchronizer.releaseRefreshOwnership();
+      this.tabSynchronizer.publish('removeLogin');
     }
-    return Promise.resolve();
+    return this.events.emit('loginRemoved');
   }
 
   /**
-   * @description Calls a hook to removeLogin and logout the user, and then interacts with Auth0 to
+   * @description Emits the `loginRemoved` and `loggedOut` events, and then interacts with Auth0 to
    * actually log the user out.
    * @param redirectUriOverride Override redirect location after logout.
    */
   logout(redirectUriOverride) {
+    // there is never a login in server mode
+    if (this.serverMode) {
+      return;
+    }
     this.tokenExpiryManager.cancelTokenRefresh();
+    this.idleTracker.stop();
+    this.refreshDeferred = false;
+    this.accessTokenCache.clear();
+    this.profileManager.invalidate();
+    this.tokenStorage.clear();
     this.authResult = null;
+    this.tabSynchronizer.releaseRefreshOwnership();
+    this.tabSynchronizer.publish('logout');
 
     if (this.config) {
-      if (this.config.hooks && this.config.hooks.removeLogin) {
-        this.config.hooks.removeLogin();
-      }
-      if (this.config.hooks && this.config.hooks.logout) {
-        this.config.hooks.logout();
-      }
-      const redirectUri = encodeURIComponent(redirectUriOverride || this.config.logoutRedirectUri || window.location.href);
-      windowInteraction.updateWindow(`https://${this.config.domain}/v2/logout?returnTo=${redirectUri}&client_id=${this.config.clientId}`);
+      const redirectUri = redirectUriOverride || this.config.logoutRedirectUri || window.location.href;
+      this.events.emit('loginRemoved').catch(error => this.logger.log({ title: 'Failed to fire "Login Removed" event', error: error }));
+      this.events.emit('loggedOut', redirectUri).catch(error => this.logger.log({ title: 'Failed to fire "Logged Out" event', error: error }));
+      windowInteraction.updateWindow(`https://${this.auth0ClientProvider.getDomain()}/v2/logout?returnTo=${encodeURIComponent(redirectUri)}&client_id=${this.config.clientId}`);
     }
   }
 
@@ -159,25 +637,107 @@ export default class auth {
    * @param {String}     configuration.explicitConnection Override specified connection for universal login.
    * @param {Boolean}    configuration.requireValidSession Require that a valid token was retrieved once before, if not returns immediately, no token will be created.
    *                     Token validation will still be required.
-   * @return {Promise<Object>} optional redirectUri on successful login if a redirect needs to still happen; otherwise rejected promise with error
+   * @param {String}     configuration.loginMode `redirect` to leave the page for the universal login, or `popup` to open it in a popup; default = redirect
+   *                     A popup is blocked by the browser unless ensureLoggedIn is called in a user interaction, see `loginWithPopup`. It is opened
+   *                     right away, while the user interaction lasts, and closed again if the silent renewal succeeds.
+   * @param {Array<String>} configuration.requiredScopes Scopes the access token must be granted, if they are missing they are requested by
+   *                     refreshing the token, where auth0 asks the user for consent, and by every later refresh.
+   * @param {*}          configuration.appState Application state stored with the redirect of the universal login and returned after the login.
+   * @param {String}     configuration.organization Override the organization to login to, it is kept for every later refresh. An invitation link to
+   *                     the application with the `invitation` and `organization` query parameters is always accepted through the universal login.
+   * @return {Promise<Object>} optional redirectUri and appState on successful login if a redirect needs to still happen; otherwise rejected promise with error, a `BrowserRequiredError` in server mode
    */
   async ensureLoggedIn(configuration = { enabledHostedLogin: true, forceTokenRefresh: false, requireValidSession: false }) {
+    const stopTimer = this.metrics.startTimer('ensureLoggedIn');
+    const attempt = { outcome: 'cachedToken', reported: false };
+    // the duration is reported once, for a redirect before the page is left, as the login doesn't settle before
+    attempt.report = outcome => {
+      if (!attempt.reported) {
+        attempt.reported = true;
+        stopTimer({ outcome });
+      }
+    };
+    try {
+      const result = await this.attemptLogin(configuration, attempt);
+      attempt.report(attempt.outcome);
+      return result;
+    } catch (error) {
+      attempt.report('error');
+      this.metrics.countError(error, 'ensureLoggedIn');
+      throw error;
+    } finally {
+      // the popup opened for the login is not needed if the login succeeded, or failed, without it
+      if (attempt.popup && !attempt.popup.closed) {
+        attempt.popup.close();
+      }
+    }
+  }
+
+  /**
+   * @description The login of `ensureLoggedIn`, which records how the login succeeded
+   * @param {Object} configuration the configuration of `ensureLoggedIn`
+   * @param {Object} attempt its `outcome` is set to `cachedToken`, `noSession`, `parsedHash`, `silentRenew`, `popup` or `redirect`,
+   * and its `popup` to the popup opened for the `popup` login mode
+   * @return {Promise<Object>} see `ensureLoggedIn`
+   */
+  async attemptLogin(configuration, attempt) {
+    if (this.serverMode) {
+      throw browserRequiredError();
+    }
+    // the required scopes are requested from now on, also by every token refresh, so that they are kept
+    const requiredScopes = configuration.requiredScopes || [];
+    const missingScopes = requiredScopes.filter(scope => !this.hasScope(scope));
+    // a step-up for missing scopes which fails keeps the login of the current token
+    const stepUp = missingScopes.length > 0 && !!this.getIdToken();
+    this.requestedScopes = this.requestedScopes.concat(requiredScopes.filter(scope => !this.requestedScopes.includes(scope)));
+    if (configuration.organization) {
+      this.organization = configuration.organization;
+    }
+
+    // an invitation to an organization can only be accepted in the universal login, where the user signs up or logs in
+    const invitation = this.pkceHandler.parseInvitation();
+    if (invitation) {
+      this.logger.startCorrelation();
+      this.logger.log({ title: 'Accepting invitation to organization', organization: invitation.organization });
+      this.organization = invitation.organization;
+      await this.resolveDomain();
+      attempt.outcome = 'redirect';
+      return this.universalAuth(configuration.redirectUri, configuration.explicitConnection, configuration.appState, { invitation: invitation.invitation },
+        () => attempt.report('redirect'));
+    }
+
     // if there is still a valid token, there is no need to initiate the login process
     const latestAuthResult = this.getIdToken();
-    if (!configuration.forceTokenRefresh && latestAuthResult && this.tokenExpiryManager.getRemainingMillisToTokenExpiry() > 0) {
+    if (!configuration.forceTokenRefresh && !missingScopes.length && this.isOrganizationGranted() && latestAuthResult && this.tokenExpiryManager.getRemainingMillisToTokenExpiry() > 0) {
       return Promise.resolve();
     }
 
     // When a valid session is required and a token is requested and there is no session, fail silently.
     // This should be silent because it is the expectation that a valid token will be checked subsequently.
     if (configuration.requireValidSession && !this.tokenExpiryManager.authorizationSessionExists()) {
+      attempt.outcome = 'noSession';
       return Promise.resolve();
     }
 
+    // the messages of this login attempt can be told apart from those of others by their correlation id
+    this.logger.startCorrelation();
+
+    // the popup has to be opened before the first await, later the user interaction is over and the browser blocks it
+    let popupError;
+    if (configuration.enabledHostedLogin && configuration.loginMode === 'popup') {
+      try {
+        attempt.popup = this.openLoginPopup();
+      } catch (error) {
+        popupError = error;
+      }
+    }
+
+    // the redirect to the universal login would fail as well, when none of the domains respond
+    await this.resolveDomain();
+
     let redirectFromAuth0Result;
     try {
-      redirectFromAuth0Result = await new Promise((resolve, reject) =>
-        this.auth0ClientProvider.getClient().parseHash({}, (error, authResult) => error ? reject(error) : resolve(authResult)));
+      redirectFromAuth0Result = await this.parseAuthResponse();
     } catch (auth0Error) {
       let errorCode = auth0Error.error;
       if (auth0Error.error === 'access_denied' && auth0Error.errorDescription === 'Please verify your email before logging in.') {
@@ -187,42 +747,64 @@ export default class auth {
 
       // In the case of an invalid token, skip throwing the error here and fallback to fetching a valid token directly from Auth0. This can happen if state or nonce was attempted to be hijacked.
       // Instead of telling the user or forcing them to login again manually, defeat the CSRF or replay-attack by automatically authing with Auth0 directly. This will happen in `renewAuth`.
-      if (auth0Error.error !== 'invalid_token') {
-        const updatedError = { details: auth0Error.errorDescription, errorCode };
-        throw updatedError;
+      // The same applies to an authorization code which was already used or which doesn't belong to this client.
+      if (auth0Error.error !== 'invalid_token' && auth0Error.error !== 'invalid_grant') {
+        throw toAuthError(auth0Error);
       }
     }
     let containsToken = redirectFromAuth0Result && redirectFromAuth0Result.idToken && redirectFromAuth0Result.accessToken;
     if (containsToken) {
-      this.authResult = redirectFromAuth0Result;
-      try {
-        await this.refreshProfile();
-        await this.tokenRefreshed(this.authResult);
-      } catch (error) {
-        this.logger.log({ title: 'Failed to fire "Token Refreshed" event', errorCode: 'TokenRefreshFailed', error: error });
-      }
+      attempt.outcome = 'parsedHash';
+      this.profileManager.invalidate();
+      await this.acceptAuthResult(redirectFromAuth0Result);
 
-      let redirectUri = this.redirectHandler.attemptRedirect();
-      return { redirectUri };
+      const redirect = this.redirectHandler.attemptRedirect(redirectFromAuth0Result.state) || {};
+      return { redirectUri: redirect.redirectUri || null, appState: redirect.appState };
     }
 
     const authPromise = this.renewAuthSequencePromise
     .then(() => this.renewAuth())
+    .then(() => this.verifyScopes(requiredScopes))
+    .then(() => {
+      attempt.outcome = 'silentRenew';
+    })
     .catch(e => {
-      // if universal login is not enabled, error out
-      if (!configuration.enabledHostedLogin) {
+      // if universal login is not enabled, error out; while offline the redirect would end on an error page of the browser
+      // scopes which auth0 didn't grant without asking for consent are not allowed for the user, and would not be granted by the universal login either
+      if (!configuration.enabledHostedLogin || e instanceof OfflineError || e instanceof InsufficientScopeError) {
         throw e;
       }
 
       this.logger.log({ title: 'Renew authorization did not succeed, falling back to Auth0 universal login.', errorCode: 'RenewAuthorizationFailure', error: e });
-      return this.universalAuth(configuration.redirectUri, configuration.explicitConnection);
+      attempt.outcome = configuration.loginMode === 'popup' ? 'popup' : 'redirect';
+      if (configuration.loginMode === 'popup') {
+        return attempt.popup ? this.loginInPopup(attempt.popup, { explicitConnection: configuration.explicitConnection }) : Promise.reject(popupError);
+      }
+      return this.universalAuth(configuration.redirectUri, configuration.explicitConnection, configuration.appState, undefined, () => attempt.report('redirect'));
     })
     .then(() => {
       this.clearOldNonces();
     })
     .catch(err => {
+      // the scopes which were not granted are no longer requested, so that the token refresh neither fails on them nor skips the refresh token
+      this.requestedScopes = this.requestedScopes.filter(scope => !requiredScopes.includes(scope) || this.hasScope(scope));
+      // the login is kept while offline and renewed on the `online` event
+      if (err instanceof OfflineError) {
+        this.logger.log({ title: 'Login paused until the browser is online', errorCode: 'Offline', error: err });
+        this.refreshDeferred = !!this.authResult;
+        throw err;
+      }
+      // the login is still valid, just not for the required scopes
+      if (err instanceof InsufficientScopeError || (stepUp && this.getIdToken())) {
+        this.logger.log({ title: 'Required scopes were not granted, keeping the current login', errorCode: 'StepUpFailed', scopes: missingScopes, error: err });
+        throw toAuthError(err);
+      }
+      if (this.authResult) {
+        this.events.emit('sessionExpired', err)
+        .catch(error => this.logger.log({ title: 'Failed to fire "Session Expired" event', error: error }));
+      }
       this.removeLogin();
-      throw err;
+      throw toAuthError(err);
     });
 
     this.renewAuthSequencePromise = authPromise.catch(() => { /* ignore since renewAuthSequcne may never be a rejected promise to have successful continuations */ });
@@ -230,16 +812,153 @@ export default class auth {
     return authPromise;
   }
 
+  /**
+   * @description Pick the first of the `domains` which responds, the choice is remembered
+   * @return {Promise<String>} resolved promise with the domain; rejected promise with a `DomainUnreachableError`
+   */
+  resolveDomain() {
+    return this.auth0ClientProvider.resolveDomain()
+    .catch(error => {
+      this.logger.log({ title: 'None of the auth0 domains responded', errorCode: 'DomainUnreachable', error: error });
+      throw error;
+    });
+  }
+
+  /**
+   * @description Check that the current access token was granted the scopes
+   * @param {Array<String>} scopes the required scopes
+   * @return {*|void}
+   */
+  verifyScopes(scopes) {
+    const missingScopes = scopes.filter(scope => !this.hasScope(scope));
+    if (missingScopes.length) {
+      throw new InsufficientScopeError(`The scopes '${missingScopes.join(' ')}' were not granted.`);
+    }
+  }
+
+  /**
+   * @description Use the tokens of a successful login or renewal, refreshes the profile and emits the `tokenRefreshed` event
+   * @param {Object} authResult the auth0 authorization result
+   * @return {Promise<>} resolved promise, failing listeners are only logged
+   */
+  acceptAuthResult(authResult) {
+    this.authResult = authResult;
+    return this.refreshProfile()
+    .then(() => this.tokenRefreshed(authResult))
+    .catch(error => {
+      this.logger.log({ title: 'Failed to fire "Token Refreshed" event', errorCode: 'TokenRefreshFailed', error: error });
+    });
+  }
+
+  /**
+   * @description Read the authorization result after being redirected back from the login page. For the implicit flow
+   * the tokens are parsed from the url hash, for the PKCE flow the returned authorization code is exchanged for them.
+   * @return {Promise<null|Object>} the auth0 authorization result if the url contained one; rejected promise with auth0 error
+   */
+  parseAuthResponse() {
+    if (this.config.flow !== 'pkce') {
+      return new Promise((resolve, reject) =>
+        this.auth0ClientProvider.getClient().parseHash({}, (error, authResult) => error ? reject(error) : resolve(authResult)))
+      .then(authResult => {
+        const transaction = authResult && authResult.state && this.pkceHandler.consumeTransaction(authResult.state);
+        return this.validateAuthResult(authResult, { nonce: transaction && transaction.nonce });
+      });
+    }
+
+    // the query is only an authorization response when a login of this client is waiting for it, otherwise it belongs to the application
+    const response = this.pkceHandler.parseQuery();
+    const transaction = response && this.pkceHandler.consumeTransaction(response.state);
+    if (!transaction) {
+      return Promise.resolve(null);
+    }
+    this.pkceHandler.clearQuery();
+    if (response.error) {
+      return Promise.reject({ error: response.error, errorDescription: response.errorDescription });
+    }
+
+    if (!transaction.codeVerifier) {
+      return Promise.reject({ error: 'invalid_token', errorDescription: 'No code verifier was found for the returned state.' });
+    }
+
+    return this.exchangeAuthorizationCode(response.code, transaction)
+    .then(authResult => Object.assign({ state: response.state }, authResult));
+  }
+
+  /**
+   * @description Exchange the authorization code of the PKCE flow for the tokens
+   * @param {String} code the authorization code returned by auth0
+   * @param {Object} transaction the login transaction with the `codeVerifier` and `nonce`
+   * @return {Promise<Object>} the auth0 authorization result; rejected promise with auth0 error
+   */
+  exchangeAuthorizationCode(code, transaction) {
+    const tokenOptions = {
+      grantType: 'authorization_code',
+      code,
+      codeVerifier: transaction.codeVerifier,
+      redirectUri: this.getCallbackUri()
+    };
+    return new Promise((resolve, reject) => {
+      this.auth0ClientProvider.getClient().client.oauthToken(tokenOptions, (error, authResult) => {
+        return error ? reject(toOAuthError(error)) : resolve(authResult);
+      });
+    })
+    .then(authResult => this.validateAuthResult(authResult, { nonce: transaction.nonce }));
+  }
+
+  /**
+   * @description Validate the tokens of an authorization result against the signing keys of the tenant, if `validateTokens` is enabled
+   * @param {null|Object} authResult the auth0 authorization result
+   * @param {Object} [expected] the expected claims
+   * @param {String} [expected.audience=config.audience] the audience of the access token
+   * @param {String} [expected.nonce] the nonce sent with the authorization request
+   * @return {Promise<null|Object>} resolved promise with the authorization result; rejected promise with a `TokenValidationFailed` error
+   */
+  validateAuthResult(authResult, { audience, nonce } = {}) {
+    if (!authResult) {
+      return Promise.resolve(authResult);
+    }
+
+    // the organization is always validated, as auth0 issues tokens for any organization the user is a member of
+    const validations = [];
+    if (this.organization && authResult.idToken) {
+      validations.push(Promise.resolve().then(() => this.tokenValidator.validateOrganization(authResult.idToken, this.organization)));
+    }
+    if (this.config.validateTokens && authResult.idToken) {
+      validations.push(this.tokenValidator.validate(authResult.idToken, { audience: this.config.clientId, nonce }));
+    }
+    // access tokens without an API audience are opaque
+    if (this.config.validateTokens && authResult.accessToken && authResult.accessToken.split('.').length === 3) {
+      validations.push(this.tokenValidator.validate(authResult.accessToken, { audience: audience || this.config.audience }));
+    }
+    if (!validations.length) {
+      return Promise.resolve(authResult);
+    }
+    return Promise.all(validations)
+    .then(() => authResult, error => {
+      this.logger.log({ title: 'Token validation failed', level: 'WARN', errorCode: error.errorCode || 'TokenValidationFailed', error: error });
+      throw error;
+    });
+  }
+
+  /**
+   * @description the url auth0 returns to after a login, built from the current origin and the application root
+   * @return {string}
+   */
+  getCallbackUri() {
+    const redirectUriRoot = window.location.origin || `${window.location.protocol}//${window.location.hostname}${window.location.port ? `:${window.location.port}` : ''}`;
+    return `${redirectUriRoot}${this.config.applicationRoot || ''}`;
+  }
+
   /** unfortunate, but localStorage can fill up if this isn't called.
    * should only be called after successful authentication has completed to avoid
    * removing in process nonces
    * https://github.com/auth0/auth0.js/issues/402
-   * @description Cleanup old auth0 localstorage
+   * @description Cleanup old auth0 localstorage, only the transactions of this instance are removed
    */
   clearOldNonces() {
     try {
       Object.keys(localStorage).forEach(key => {
-        if (!key.startsWith('com.auth0.auth')) {
+        if (!key.startsWith(this.storageNamespace.auth0TransactionPrefix)) {
           return;
         }
         localStorage.removeItem(key);
@@ -251,79 +970,264 @@ export default class auth {
    * @description uses the hosted login page to login
    * @param redirectUri url to return to otherwise `window.location.href` will be used.
    * @param explicitConnection connection to force using for the universal login, will bypass showing auth0 lock widget.
+   * @param [appState] application state which is returned by `ensureLoggedIn` once the user returns
+   * @param [authorizeOptions] additional options of the authorization request, i.e. the `invitation` to an organization
+   * @param [beforeRedirect] called right before the page is left, after the `loginStarted` listeners finished
    * @return {Promise<any>}
    */
-  universalAuth(redirectUri, explicitConnection) {
-    this.redirectHandler.setRedirect(redirectUri || window.location.href);
-    const redirectUriRoot = window.location.origin || `${window.location.protocol}//${window.location.hostname}${window.location.port ? `:${window.location.port}` : ''}`;
-    const options = {
-      redirectUri: `${redirectUriRoot}${this.config.applicationRoot || ''}`,
+  universalAuth(redirectUri, explicitConnection, appState, authorizeOptions, beforeRedirect) {
+    const returnUri = redirectUri || window.location.href;
+    const options = Object.assign({
+      redirectUri: this.getCallbackUri(),
       audience: this.config.audience,
       responseType: 'id_token token',
+      scope: this.getLoginScope(true),
       connection: explicitConnection || this.config.explicitConnection,
-      prompt: (explicitConnection || this.config.explicitConnection) ? 'select_account' : undefined
-    };
+      prompt: (explicitConnection || this.config.explicitConnection) ? 'select_account' : undefined,
+      organization: this.organization
+    }, authorizeOptions);
 
-    return new Promise((resolve, reject) => {
-      this.logger.log({ title: 'Redirecting to login page and waiting for result.' });
-      this.auth0ClientProvider.getClient().authorize(options, (error, authResult) => {
+    // with PKCE only a short-lived code is returned in the url, which can only be exchanged by the holder of the code verifier
+    // the redirect is stored under the state, so that logins in several tabs don't overwrite each other
+    let flowOptionsPromise = Promise.resolve({ state: PkceHandler.createNonce() });
+    if (this.config.flow === 'pkce') {
+      flowOptionsPromise = this.pkceHandler.createChallenge()
+      .then(({ state, nonce, codeChallenge }) => ({ responseType: 'code', responseMode: 'query', state, nonce, codeChallenge, codeChallengeMethod: 'S256' }));
+    } else if (this.config.validateTokens) {
+      flowOptionsPromise = Promise.resolve(this.pkceHandler.createTransaction());
+    }
+
+    // listeners get the chance to finish, i.e. to save the application state, before the page is left
+    return this.events.emit('loginStarted', returnUri)
+    .catch(error => this.logger.log({ title: 'Failed to fire "Login Started" event', error: error }))
+    .then(() => flowOptionsPromise)
+    .then(flowOptions => new Promise((resolve, reject) => {
+      this.redirectHandler.setRedirect(returnUri, flowOptions.state, appState);
+      this.logger.log({ title: 'Redirecting to login page and waiting for result.', level: 'debug' });
+      // auth0-js leaves the page without calling back, unless the redirect failed
+      if (beforeRedirect) {
+        beforeRedirect();
+      }
+      this.auth0ClientProvider.getClient().authorize(Object.assign(options, flowOptions), (error, authResult) => {
         if (error) {
           this.logger.log({ title: 'Redirect to login page failed.', errorCode: 'RedirectFailed', error: error });
-          return reject(error);
+          return reject(new RedirectFailedError('Redirect to login page failed.', error));
         }
         return resolve(authResult);
       });
+    }))
+    .catch(error => {
+      throw toAuthError(error, RedirectFailedError);
+    });
+  }
+
+  /**
+   * @description uses the hosted login page in a popup to login, so that the page and its state are kept. The popup has to be opened
+   * in a user interaction, i.e. a click handler, otherwise the browser blocks it. The tokens are returned by auth0 with a `postMessage`.
+   * @param {Object} [options]
+   * @param {String} [options.explicitConnection] connection to force using for the universal login, will bypass showing auth0 lock widget.
+   * @param {Number} [options.timeout=config.popupTimeout] time in milliseconds to wait for the user to login
+   * @return {Promise<>} resolved promise once the tokens were retrieved; rejected promise with a `PopupBlocked`, `PopupClosed`, `PopupTimeout` or auth0 error
+   */
+  loginWithPopup(options = {}) {
+    if (this.serverMode) {
+      return Promise.reject(browserRequiredError());
+    }
+    this.logger.startCorrelation();
+    let popup;
+    try {
+      popup = this.openLoginPopup();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    return this.loginInPopup(popup, options);
+  }
+
+  /**
+   * @description Open an empty popup for the login, see `loginWithPopup`
+   * @return {Window} the popup; throws a `PopupBlocked` error if the browser blocked it
+   */
+  openLoginPopup() {
+    try {
+      return this.popupHandler.open();
+    } catch (error) {
+      this.logger.log({ title: 'Opening the login popup failed.', errorCode: error.errorCode, error: error });
+      throw toAuthError(error);
+    }
+  }
+
+  /**
+   * @description Login with the hosted login page in a popup which is already open, see `loginWithPopup`
+   * @param {Window} popup the popup opened with `openLoginPopup`
+   * @param {Object} [options] see `loginWithPopup`
+   * @return {Promise<>} see `loginWithPopup`
+   */
+  loginInPopup(popup, options = {}) {
+    const connection = options.explicitConnection || this.config.explicitConnection;
+    const params = {
+      redirectUri: this.getCallbackUri(),
+      audience: this.config.audience,
+      responseType: 'id_token token',
+      responseMode: 'web_message',
+      scope: this.getLoginScope(true),
+      connection,
+      prompt: connection ? 'select_account' : undefined,
+      organization: this.organization
+    };
+    this.events.emit('loginStarted', window.location.href)
+    .catch(error => this.logger.log({ title: 'Failed to fire "Login Started" event', error: error }));
+
+    let state;
+    const transactionPromise = this.config.flow === 'pkce' ? this.pkceHandler.createChallenge() : Promise.resolve(this.pkceHandler.createTransaction());
+    return transactionPromise
+    .then(transaction => {
+      state = transaction.state;
+      Object.assign(params, { state: transaction.state, nonce: transaction.nonce });
+      if (transaction.codeChallenge) {
+        Object.assign(params, { responseType: 'code', codeChallenge: transaction.codeChallenge, codeChallengeMethod: 'S256' });
+      }
+      const url = this.auth0ClientProvider.getClient().client.buildAuthorizeUrl(params);
+      const timeout = options.timeout || this.config.popupTimeout || 120000;
+      return this.popupHandler.waitForResponse(popup, url, { origin: `https://${this.auth0ClientProvider.getDomain()}`, state, timeout });
+    })
+    .then(response => {
+      const transaction = this.pkceHandler.consumeTransaction(state);
+      if (response.code) {
+        return this.exchangeAuthorizationCode(response.code, transaction);
+      }
+      const authResult = { accessToken: response.access_token, idToken: response.id_token, expiresIn: Number(response.expires_in), tokenType: response.token_type, scope: response.scope, state };
+      return this.validateAuthResult(authResult, { nonce: transaction && transaction.nonce });
+    })
+    .then(authResult => {
+      this.profileManager.invalidate();
+      return this.acceptAuthResult(authResult);
+    })
+    .catch(error => {
+      if (state) {
+        this.pkceHandler.consumeTransaction(state);
+      }
+      if (!popup.closed) {
+        popup.close();
+      }
+      this.logger.log({ title: 'Login in popup failed.', errorCode: error.errorCode || 'PopupLoginFailed', error: error });
+      const authError = toAuthError(error);
+      this.metrics.countError(authError, 'loginWithPopup');
+      throw authError;
     });
   }
 
   /**
-   * @description renews the authentication
+   * @description renews the authentication, with the refresh token if one is available and otherwise with the SSO session,
+   * failed attempts are retried as configured by the `retryPolicy`, network errors are not retried but rejected with an `OfflineError`
    * @param {Number} retries current retry attempt number
    * @return {Promise<any>}
    */
   renewAuth(retries = 0) {
-    const redirectUriRoot = window.location.origin || `${window.location.protocol}//${window.location.hostname}${window.location.port ? `:${window.location.port}` : ''}`;
+    if (NetworkStatus.isOffline()) {
+      return Promise.reject(new OfflineError('The browser is offline.'));
+    }
+    const attempt = retries + 1;
+    this.logger.log({ title: 'Renewing token', level: 'debug', attempt });
+    this.events.emit('renewAttempt', attempt)
+    .catch(eventError => this.logger.log({ title: 'Failed to fire "Renew Attempt" event', error: eventError }));
+
+    const refreshToken = this.authResult && this.authResult.refreshToken;
+    // a refresh token can't be exchanged for additional scopes or another organization, these require the SSO session
+    const scopesGranted = this.requestedScopes.every(scope => this.hasScope(scope)) && this.isOrganizationGranted();
+    return (refreshToken && scopesGranted ? this.renewWithRefreshToken(refreshToken) : this.renewWithSession())
+    .then(authResult => {
+      if (authResult && authResult.accessToken && authResult.idToken) {
+        return this.acceptAuthResult(authResult);
+      }
+      const noTokenError = { error: 'no_token_available', errorDescription: 'Failed to get valid token.', authResultError: authResult ? authResult.error : undefined };
+      throw noTokenError;
+    })
+    .catch(error => {
+      const networkError = NetworkStatus.isNetworkError(error);
+      const delay = !networkError && this.retryPolicy.shouldRetry(error, attempt) ? this.retryPolicy.getDelay(attempt) : null;
+      this.logger.log({ title: 'Failed to update ID token on retry', errorCode: 'IdTokenUpdateFailed', retry: retries, delay, error: error });
+      this.events.emit('renewFailed', error, retries, delay)
+      .catch(eventError => this.logger.log({ title: 'Failed to fire "Renew Failed" event', error: eventError }));
+      this.metrics.countError(networkError ? { code: 'Offline' } : toAuthError(error), 'renewAuth');
+
+      if (networkError) {
+        throw new OfflineError('The network is not available.', error);
+      }
+      if (delay === null) {
+        throw toAuthError(error);
+      }
+      this.metrics.increment('renewAuth.retry', { attempt });
+      return new Promise(resolve => windowInteraction.setTimeout(() => resolve(), delay))
+      .then(() => this.renewAuth(retries + 1));
+    });
+  }
+
+  /**
+   * @description get new tokens from the SSO session through a hidden iframe, which requires third party cookies
+   * @param {Object} [overrides] options to override the checkSession defaults with, i.e. another audience
+   * @return {Promise<Object>} the auth0 authorization result
+   */
+  renewWithSession(overrides = {}) {
+    // checkSession returns the tokens through `postMessage` from a hidden iframe, they never appear in the url, so this is used for both flows
     const renewOptions = {
-      redirectUri: `${redirectUriRoot}${this.config.applicationRoot || ''}`,
+      redirectUri: this.getCallbackUri(),
       audience: this.config.audience,
       responseType: 'id_token token',
       timeout: this.config.timeout || 5000
     };
+    if (this.requestedScopes.length) {
+      renewOptions.scope = this.getLoginScope(false);
+    }
+    if (this.organization) {
+      renewOptions.organization = this.organization;
+    }
+    // auth0 only skips creating its own transaction when both are provided
+    if (this.config.validateTokens) {
+      renewOptions.state = PkceHandler.createNonce();
+      renewOptions.nonce = PkceHandler.createNonce();
+    }
+    Object.assign(renewOptions, overrides);
 
+    const stopTimer = this.metrics.startTimer('checkSession', { audience: renewOptions.audience });
     return new Promise((resolve, reject) => {
-      this.auth0ClientProvider.getClient().checkSession(renewOptions, (err, authResult) => {
-        if (err) {
-          return reject(err);
-        }
-        if (authResult && authResult.accessToken && authResult.idToken) {
-          this.authResult = authResult;
-          return this.refreshProfile()
-          .then(() => this.tokenRefreshed(authResult))
-          .catch(error => {
-            this.logger.log({ title: 'Failed to fire "Token Refreshed" event', errorCode: 'TokenRefreshFailed', error: error });
-          })
-          .then(() => {
-            resolve();
-          });
-        }
-        return reject({ error: 'no_token_available', errorDescription: 'Failed to get valid token.', authResultError: authResult ? authResult.error : undefined });
+      this.auth0ClientProvider.getClient().checkSession(renewOptions, (err, authResult) => err ? reject(err) : resolve(authResult));
+    })
+    .then(authResult => {
+      stopTimer({ outcome: 'success' });
+      return authResult;
+    }, error => {
+      stopTimer({ outcome: 'error' });
+      throw error;
+    })
+    .then(authResult => this.validateAuthResult(authResult, { audience: renewOptions.audience, nonce: renewOptions.nonce }));
+  }
+
+  /**
+   * @description get new tokens with the refresh token. With refresh token rotation every refresh token can only be used once,
+   * the returned replacement is kept with the new authorization result. When auth0 rejects the refresh token, because it expired,
+   * was revoked or reuse was detected, it is discarded and the SSO session is used instead.
+   * @param refreshToken the current refresh token
+   * @return {Promise<Object>} the auth0 authorization result
+   */
+  renewWithRefreshToken(refreshToken) {
+    const tokenOptions = {
+      grantType: 'refresh_token',
+      refreshToken
+    };
+
+    return new Promise((resolve, reject) => {
+      this.auth0ClientProvider.getClient().client.oauthToken(tokenOptions, (error, authResult) => {
+        return error ? reject(toOAuthError(error)) : resolve(Object.assign({ refreshToken }, authResult));
       });
     })
+    .then(authResult => this.validateAuthResult(authResult))
     .catch(error => {
-      this.logger.log({ title: 'Failed to update ID token on retry', errorCode: 'IdTokenUpdateFailed', retry: retries, error: error });
-      let fatalErrors = {
-        consent_required: true,
-        login_required: true
-      };
-      if (fatalErrors[error.error]) {
+      if (error.error !== 'invalid_grant') {
         throw error;
       }
-
-      if (retries < 4 && error.authResultError === undefined) {
-        return new Promise(resolve => setTimeout(() => resolve(), 1000))
-        .then(() => this.renewAuth(retries + 1));
-      }
-      throw error;
+      this.logger.log({ title: 'Refresh token was rejected, falling back to the SSO session.', level: 'WARN', errorCode: 'RefreshTokenRejected', error: error });
+      this.authResult = Object.assign({}, this.authResult, { refreshToken: undefined });
+      return this.renewWithSession();
     });
   }
 }
@@ -1,14 +1,80 @@
 import { WebAuth, Management } from 'auth0-js';
+import StorageNamespace from './storageNamespace';
+import windowInteraction from './window-interaction';
+import { DomainUnreachableError } from './errors';
 
 export default class Auth0ClientProvider {
   /**
    * @constructor the auth0Manager
    * @param {Object} config
    */
-  constructor(config) {
+  constructor(config = {}) {
     this.config = config;
     this.webAuth = null;
     this.managementClient = null;
+    this.managementToken = null;
+    this.managementDomain = null;
+    this.domain = null;
+    this.domainPromise = null;
+  }
+
+  /**
+   * @description Get the domains the tenant can be reached at, in the order they are tried
+   * @return {Array<string>}
+   */
+  getDomains() {
+    return this.config.domains && this.config.domains.length ? this.config.domains : [this.config.domain];
+  }
+
+  /**
+   * @description Get the domain the login uses, the first domain until `resolveDomain` picked the first one which responds
+   * @return {string}
+   */
+  getDomain() {
+    return this.domain || this.getDomains()[0];
+  }
+
+  /**
+   * @description Probe the `domains` in order and use the first one which responds, i.e. the auth0 domain when a custom domain is blocked.
+   * The choice is remembered, when no domain responds they are probed again on the next call.
+   * @return {Promise<string>} resolved promise with the domain; rejected promise with a `DomainUnreachableError`
+   */
+  resolveDomain() {
+    const domains = this.getDomains();
+    if (domains.length < 2) {
+      return Promise.resolve(this.getDomain());
+    }
+    if (!this.domainPromise) {
+      this.domainPromise = domains.reduce((previousProbe, domain) => previousProbe.catch(() => this.probeDomain(domain).then(() => domain)),
+        Promise.reject(Error('No domain was probed.')))
+      .then(domain => {
+        if (domain !== this.getDomain()) {
+          this.webAuth = null;
+        }
+        this.domain = domain;
+        return domain;
+      })
+      .catch(error => {
+        this.domainPromise = null;
+        throw new DomainUnreachableError(`None of the domains '${domains.join(', ')}' responded.`, error);
+      });
+    }
+    return this.domainPromise;
+  }
+
+  /**
+   * @description Check that a domain responds within the `timeout`, any response counts as it is only read opaquely
+   * @param {string} domain the domain to probe
+   * @return {Promise<>} resolved promise if the domain responded; rejected promise otherwise
+   */
+  probeDomain(domain) {
+    return new Promise((resolve, reject) => {
+      const timeoutHandle = windowInteraction.setTimeout(() => reject({ error: 'timeout', errorDescription: `Domain '${domain}' did not respond.` }),
+        this.config.timeout || 5000);
+      windowInteraction.fetch(`https://${domain}/.well-known/openid-configuration`, { mode: 'no-cors', cache: 'no-store' })
+      .then(() => resolve(), error => reject(error))
+      .then(() => windowInteraction.clearTimeout(timeoutHandle));
+    });
   }
 
   /**
@@ -17,16 +83,28 @@ export default class Auth0ClientProvider {
    */
   getClient() {
     return this.webAuth || (this.webAuth = new WebAuth({
-      domain: this.config.domain,
+      domain: this.getDomain(),
       clientID: this.config.clientId,
-      scope: 'openid profile email'
+      scope: 'openid profile email',
+      transaction: { namespace: new StorageNamespace(this.config).auth0TransactionPrefix }
     }));
   }
 
-  getManagementClient(auth0AccessToken) {
-    return this.managementClient || (this.managementClient = new Management({
-      domain: this.config.domain,
-      token: auth0AccessToken
-    }));
+  /**
+   * @description Get the Management API client for the token at the domain the login uses, the client is created again once the token
+   * or the domain changed
+   * @param {String} managementToken an access token for the Management API audience
+   * @return {*|void}
+   */
+  getManagementClient(managementToken) {
+    if (!this.managementClient || this.managementToken !== managementToken || this.managementDomain !== this.getDomain()) {
+      this.managementToken = managementToken;
+      this.managementDomain = this.getDomain();
+      this.managementClient = new Management({
+        domain: this.managementDomain,
+        token: managementToken
+      });
+    }
+    return this.managementClient;
   }
 }
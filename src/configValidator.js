@@ -0,0 +1,66 @@
+import { ConfigurationError } from './errors';
+
+const requiredOptions = ['clientId', 'domain', 'audience'];
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isAbsoluteUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// static checks of the constructor configuration, so that mistakes fail at construction instead of at the first login
+export default class ConfigValidator {
+  /**
+   * @description Get the problems of a configuration
+   * @param {Object} config the configuration of the constructor
+   * @param {Array<string>} hookNames the supported hooks
+   * @return {Array<string>} a description of every invalid option, empty if the configuration is valid
+   */
+  static getProblems(config, hookNames) {
+    const problems = requiredOptions
+    .filter(option => !isNonEmptyString(config[option]))
+    .map(option => `'${option}' is required and must be a non-empty string.`);
+
+    // the application root is appended to the origin of the page to build the url auth0 returns to
+    if (config.applicationRoot !== undefined && !(typeof config.applicationRoot === 'string' && (/^\/(?!\/)\S*$/).test(config.applicationRoot))) {
+      problems.push(`'applicationRoot' must be a path starting with a single '/', i.e. '/app/', but is '${config.applicationRoot}'.`);
+    }
+    if (config.logoutRedirectUri !== undefined && !isAbsoluteUrl(config.logoutRedirectUri)) {
+      problems.push(`'logoutRedirectUri' must be an absolute http or https url, but is '${config.logoutRedirectUri}'.`);
+    }
+
+    const hooks = config.hooks === undefined ? {} : config.hooks;
+    if (!hooks || typeof hooks !== 'object') {
+      problems.push(`'hooks' must be an object with the hooks ${hookNames.join(', ')}.`);
+      return problems;
+    }
+    Object.keys(hooks).forEach(hook => {
+      if (!hookNames.includes(hook)) {
+        problems.push(`'hooks.${hook}' is not a supported hook, the hooks are ${hookNames.join(', ')}.`);
+      } else if (typeof hooks[hook] !== 'function') {
+        problems.push(`'hooks.${hook}' must be a function.`);
+      }
+    });
+    return problems;
+  }
+
+  /**
+   * @description Validate a configuration
+   * @param {Object} config the configuration of the constructor
+   * @param {Array<string>} hookNames the supported hooks
+   * @return {*|void}
+   * @throws {ConfigurationError} listing every invalid option
+   */
+  static validate(config, hookNames) {
+    const problems = ConfigValidator.getProblems(config, hookNames);
+    if (problems.length) {
+      throw new ConfigurationError(problems);
+    }
+  }
+}
@@ -0,0 +1,10 @@
+// static environment detection, wrapped for enabling easier mocking through unit tests
+export default class Environment {
+  /**
+   * @description Whether the library runs in a browser, and not i.e. in Node during a server side render
+   * @return {boolean}
+   */
+  static isBrowser() {
+    return typeof window !== 'undefined' && typeof document !== 'undefined';
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Base class of all errors the library rejects with.
+ * `code` is one of the stable error codes documented in the readme, `cause` is the original error, i.e. the auth0 error,
+ * and `error` and `errorDescription` are the OAuth error and its description returned by auth0, if any.
+ */
+export class AuthError extends Error {
+  /**
+   * @constructor
+   * @param {string} code stable error code
+   * @param {string} message human readable description
+   * @param {*} [cause] the original error
+   */
+  constructor(code, message, cause) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.cause = cause;
+    this.error = (cause && cause.error) || undefined;
+    this.errorDescription = (cause && (cause.errorDescription || cause.error_description || cause.description)) || undefined;
+  }
+}
+
+// the SSO session expired or doesn't exist, the user has to login again
+export class LoginRequiredError extends AuthError {
+  constructor(message, cause) {
+    super('LoginRequired', message, cause);
+    this.name = 'LoginRequiredError';
+  }
+}
+
+// the user has to consent to the requested scopes
+export class ConsentRequiredError extends AuthError {
+  constructor(message, cause) {
+    super('ConsentRequired', message, cause);
+    this.name = 'ConsentRequiredError';
+  }
+}
+
+// the user has to verify the email address before logging in
+export class UnverifiedEmailError extends AuthError {
+  constructor(message, cause) {
+    super('UnverifiedEmail', message, cause);
+    this.name = 'UnverifiedEmailError';
+  }
+}
+
+// auth0 did not respond in time while renewing the token, i.e. because the domain is blocked
+export class RenewTimeoutError extends AuthError {
+  constructor(message, cause) {
+    super('RenewTimeout', message, cause);
+    this.name = 'RenewTimeoutError';
+  }
+}
+
+// the redirect to the universal login failed
+export class RedirectFailedError extends AuthError {
+  constructor(message, cause) {
+    super('RedirectFailed', message, cause);
+    this.name = 'RedirectFailedError';
+  }
+}
+
+// the network is not available, the login is kept and renewed once the browser is online again
+export class OfflineError extends AuthError {
+  constructor(message, cause) {
+    super('Offline', message, cause);
+    this.name = 'OfflineError';
+  }
+}
+
+// the access token was not granted the required scopes, i.e. because they are not allowed for the user
+export class InsufficientScopeError extends AuthError {
+  constructor(message, cause) {
+    super('InsufficientScope', message, cause);
+    this.name = 'InsufficientScopeError';
+  }
+}
+
+// none of the auth0 `domains` responded, i.e. because they are blocked by the network
+export class DomainUnreachableError extends AuthError {
+  constructor(message, cause) {
+    super('DomainUnreachable', message, cause);
+    this.name = 'DomainUnreachableError';
+  }
+}
+
+// the configuration passed to the constructor is invalid, `problems` lists every invalid option
+export class ConfigurationError extends AuthError {
+  constructor(problems) {
+    super('InvalidConfiguration', `Invalid auth0-sso-login configuration: ${problems.join(' ')}`);
+    this.name = 'ConfigurationError';
+    this.problems = problems;
+  }
+}
+
+// the login requires a browser, the library runs in server mode, i.e. during a server side render
+export class BrowserRequiredError extends AuthError {
+  constructor(message, cause) {
+    super('BrowserRequired', message, cause);
+    this.name = 'BrowserRequiredError';
+  }
+}
+
+// the profile could not be retrieved
+export class ProfileError extends AuthError {
+  constructor(message, cause) {
+    super('ProfileError', message, cause);
+    this.name = 'ProfileError';
+  }
+}
+
+// error codes of errors created by the library, which are kept as `code` of an AuthError
+const libraryErrorCodes = ['TokenValidationFailed', 'PopupBlocked', 'PopupClosed', 'PopupTimeout'];
+
+/**
+ * @description Convert any error into an AuthError with a stable code, the original error is kept as `cause`
+ * @param {*} error the error to convert
+ * @param {Function} [DefaultErrorClass] the class for errors which are not recognized, defaults to an AuthError with the code `AuthenticationFailed`
+ * @return {AuthError}
+ */
+export function toAuthError(error, DefaultErrorClass) {
+  if (error instanceof AuthError) {
+    return error;
+  }
+
+  const oauthError = error && error.error;
+  const description = (error && (error.errorDescription || error.error_description || error.description || error.message)) || 'Authentication failed.';
+  if (error && libraryErrorCodes.includes(error.errorCode)) {
+    return new AuthError(error.errorCode, description, error);
+  }
+  switch (oauthError) {
+    case 'login_required':
+    case 'interaction_required':
+      return new LoginRequiredError(description, error);
+    case 'consent_required':
+      return new ConsentRequiredError(description, error);
+    case 'timeout':
+      return new RenewTimeoutError(description, error);
+    case 'no_token_available':
+      return new AuthError('NoTokenAvailable', description, error);
+    default:
+      break;
+  }
+  if (oauthError === 'access_denied' && description === 'Please verify your email before logging in.') {
+    return new UnverifiedEmailError(description, error);
+  }
+  return DefaultErrorClass ? new DefaultErrorClass(description, error) : new AuthError('AuthenticationFailed', description, error);
+}
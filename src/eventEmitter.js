@@ -0,0 +1,66 @@
+export default class EventEmitter {
+  /**
+   * @constructor create an emitter for a fixed set of events
+   * @param {Array<string>} eventNames the events which can be listened to
+   */
+  constructor(eventNames) {
+    this.listeners = {};
+    eventNames.forEach(eventName => {
+      this.listeners[eventName] = [];
+    });
+  }
+
+  /**
+   * @description Add a listener for an event
+   * @param {string} eventName the event to listen to
+   * @param {Function} handler called with the event payload
+   * @return {*|void}
+   */
+  on(eventName, handler) {
+    this.getListeners(eventName).push(handler);
+  }
+
+  /**
+   * @description Remove a listener for an event
+   * @param {string} eventName the event listened to
+   * @param {Function} handler the handler passed to `on`
+   * @return {*|void}
+   */
+  off(eventName, handler) {
+    this.listeners[eventName] = this.getListeners(eventName).filter(listener => listener !== handler);
+  }
+
+  /**
+   * @description Call all listeners of an event, in the order they were added
+   * @param {string} eventName the event to emit
+   * @param {...*} args the event payload
+   * @return {Promise<>} resolved promise once all listeners resolved; rejected promise if a listener failed
+   */
+  emit(eventName, ...args) {
+    const results = this.getListeners(eventName).map(handler => {
+      try {
+        return handler(...args);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    });
+    return Promise.all(results);
+  }
+
+  /**
+   * @description Check whether an event is listened to
+   * @param {string} eventName the event
+   * @return {boolean}
+   */
+  hasListeners(eventName) {
+    return this.getListeners(eventName).length > 0;
+  }
+
+  getListeners(eventName) {
+    const listeners = this.listeners[eventName];
+    if (!listeners) {
+      throw Error(`Unknown event '${eventName}', supported events are ${Object.keys(this.listeners).join(', ')}.`);
+    }
+    return listeners;
+  }
+}
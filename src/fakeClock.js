@@ -0,0 +1,88 @@
+import windowInteraction from './window-interaction';
+
+// lets the promises of a timer callback, i.e. of a token refresh, settle before the next timer runs
+function flush() {
+  return new Promise(resolve => (typeof setImmediate === 'function' ? setImmediate(resolve) : Promise.resolve().then(resolve)));
+}
+
+export default class FakeClock {
+  /**
+   * @constructor create a clock which replaces `Date.now` and the timers of the library, i.e. of the `TokenExpiryManager`, once installed
+   * @param {number} [now=Date.now()] the initial time in milliseconds
+   */
+  constructor(now = Date.now()) {
+    this.now = now;
+    this.timers = [];
+    this.nextTimerId = 1;
+    this.restore = null;
+  }
+
+  /**
+   * @description Replace `Date.now` and the timers of the library until `uninstall` is called
+   * @return {FakeClock} this clock
+   */
+  install() {
+    const dateNow = Date.now;
+    const setTimeout = windowInteraction.setTimeout;
+    const clearTimeout = windowInteraction.clearTimeout;
+    Date.now = () => this.now;
+    windowInteraction.setTimeout = (func, delay) => {
+      const timer = { id: this.nextTimerId++, func, at: this.now + Math.max(0, delay || 0) };
+      this.timers.push(timer);
+      return timer.id;
+    };
+    windowInteraction.clearTimeout = timerId => {
+      this.timers = this.timers.filter(timer => timer.id !== timerId);
+    };
+    this.restore = () => {
+      Date.now = dateNow;
+      windowInteraction.setTimeout = setTimeout;
+      windowInteraction.clearTimeout = clearTimeout;
+    };
+    return this;
+  }
+
+  /**
+   * @description Restore `Date.now` and the timers of the library, pending timers are discarded
+   * @return {*|void}
+   */
+  uninstall() {
+    if (this.restore) {
+      this.restore();
+      this.restore = null;
+    }
+    this.timers = [];
+  }
+
+  /**
+   * @description Move the clock forward and run the timers which are due in their order, including timers they start
+   * @param {number} ms milliseconds to move forward
+   * @return {Promise<>} resolved promise once the timers ran and their promises settled
+   */
+  async tick(ms) {
+    const target = this.now + ms;
+    await flush();
+    let timer = this.getNextTimer(target);
+    while (timer) {
+      this.timers.splice(this.timers.indexOf(timer), 1);
+      this.now = timer.at;
+      timer.func();
+      await flush();
+      timer = this.getNextTimer(target);
+    }
+    this.now = target;
+  }
+
+  /**
+   * @description Move the clock forward to the scheduled token refresh of an instance of the library, and run the refresh
+   * @param {Object} auth the instance of the library
+   * @return {Promise<>} resolved promise once the refresh settled
+   */
+  tickToTokenRefresh(auth) {
+    return this.tick(Math.max(0, auth.tokenExpiryManager.getRemainingMillisToTokenExpiry()));
+  }
+
+  getNextTimer(target) {
+    return this.timers.filter(timer => timer.at <= target).sort((a, b) => a.at - b.at || a.id - b.id)[0];
+  }
+}
@@ -0,0 +1,269 @@
+import { generateKeyPairSync } from 'crypto';
+import jwtManager from 'jsonwebtoken';
+import windowInteraction from './window-interaction';
+
+// the errors auth0 responds with for the simulated scenarios, either to the requests for tokens or to the universal login
+const scenarios = {
+  loginRequired: { failures: 'tokenFailures', error: { error: 'login_required', errorDescription: 'Login required' } },
+  timeout: { failures: 'tokenFailures', error: { error: 'timeout', errorDescription: 'Timeout during executing web_message communication' } },
+  unverifiedEmail: { failures: 'loginFailures', error: { error: 'access_denied', errorDescription: 'Please verify your email before logging in.' } }
+};
+
+function respond(callback, error, result) {
+  // auth0 always responds asynchronously
+  Promise.resolve().then(() => (error ? callback(error) : callback(null, result)));
+}
+
+export default class FakeTenant {
+  /**
+   * @constructor create a fake auth0 tenant, which issues RS256 signed tokens without network access. The signing key pair is
+   * generated for every tenant, its public key is served as JWKS to the installed instances, so that `validateTokens` can be used.
+   * @param {Object} [options]
+   * @param {string} [options.domain=fake-tenant.auth0.com] the domain of the tenant
+   * @param {string} [options.clientId=fake-client-id] the client ID of the application
+   * @param {string} [options.audience=https://fake-tenant.api] the default audience of the access tokens
+   * @param {Object} [options.claims] claims of the user, added to the ID token and returned as profile
+   * @param {number} [options.expiresIn=3600] lifetime of the issued tokens in seconds
+   * @param {string} [options.scope=openid profile email] the scopes granted when none are requested
+   * @param {boolean} [options.loggedIn=true] whether the user has an SSO session, otherwise the silent renewal requires a login
+   */
+  constructor(options = {}) {
+    this.domain = options.domain || 'fake-tenant.auth0.com';
+    this.clientId = options.clientId || 'fake-client-id';
+    this.audience = options.audience || 'https://fake-tenant.api';
+    this.claims = Object.assign({ sub: 'auth0|fake-user', name: 'Fake User', email: 'fake-user@example.com', email_verified: true }, options.claims);
+    this.expiresIn = options.expiresIn || 3600;
+    this.scope = options.scope || 'openid profile email';
+    this.loggedIn = options.loggedIn !== false;
+    this.jwksUri = `https://${this.domain}/.well-known/jwks.json`;
+    this.keyId = 'fake-tenant-key';
+    const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.publicKey = publicKey;
+    this.privateKey = privateKey;
+    this.tokenFailures = [];
+    this.loginFailures = [];
+    this.requests = [];
+    this.redirectResponse = null;
+    this.authorizationCodes = {};
+    this.refreshTokens = [];
+    this.restoreFunctions = [];
+  }
+
+  /**
+   * @description Get a valid configuration of the library for the tenant
+   * @param {Object} [overrides] further configuration options
+   * @return {Object}
+   */
+  getConfig(overrides) {
+    return Object.assign({ clientId: this.clientId, domain: this.domain, audience: this.audience }, overrides);
+  }
+
+  /**
+   * @description Start the SSO session of the user, i.e. after a login in another application
+   * @param {Object} [claims] claims of the user to change
+   * @return {FakeTenant} this tenant
+   */
+  login(claims) {
+    this.loggedIn = true;
+    Object.assign(this.claims, claims);
+    return this;
+  }
+
+  /**
+   * @description End the SSO session, the silent renewal fails with `login_required` from now on
+   * @return {FakeTenant} this tenant
+   */
+  logout() {
+    this.loggedIn = false;
+    this.refreshTokens = [];
+    return this;
+  }
+
+  /**
+   * @description Let the next requests fail: `loginRequired` and `timeout` fail the silent renewal and the refresh token grant,
+   * with `unverifiedEmail` the universal login returns with the error auth0 responds with for users who didn't verify their email
+   * @param {string} scenario `loginRequired`, `timeout` or `unverifiedEmail`
+   * @param {Object} [options]
+   * @param {number} [options.times=1] the number of requests which fail
+   * @return {FakeTenant} this tenant
+   */
+  simulate(scenario, { times = 1 } = {}) {
+    if (!scenarios[scenario]) {
+      throw new Error(`Unknown scenario '${scenario}', the scenarios are ${Object.keys(scenarios).join(', ')}.`);
+    }
+    for (let i = 0; i < times; i++) {
+      this[scenarios[scenario].failures].push(scenarios[scenario].error);
+    }
+    return this;
+  }
+
+  /**
+   * @description Issue an authorization result for the user
+   * @param {Object} [options]
+   * @param {Object} [options.claims] claims added to both tokens, i.e. `permissions` or custom claims
+   * @param {number} [options.expiresIn] lifetime of the tokens in seconds
+   * @param {string} [options.audience] audience of the access token
+   * @param {string} [options.scope] granted scopes
+   * @param {string} [options.nonce] nonce of the ID token
+   * @param {string} [options.state] state of the authorization request
+   * @param {string} [options.organization] organization ID (`org_...`) or name the tokens are issued for
+   * @param {boolean} [options.refreshToken=false] also issue a refresh token
+   * @return {Object} the authorization result with the `idToken`, `accessToken`, `expiresIn`, `tokenType`, `scope` and `state`
+   */
+  issueTokens(options = {}) {
+    const iat = Math.floor(Date.now() / 1000);
+    const expiresIn = options.expiresIn || this.expiresIn;
+    const scope = options.scope || this.scope;
+    const organizationClaims = {};
+    if (options.organization) {
+      organizationClaims[options.organization.startsWith('org_') ? 'org_id' : 'org_name'] = options.organization;
+    }
+    const tokenClaims = Object.assign({ iss: `https://${this.domain}/`, sub: this.claims.sub, iat, exp: iat + expiresIn }, organizationClaims, options.claims);
+    const idToken = jwtManager.sign(Object.assign({}, this.claims, tokenClaims, { aud: this.clientId, nonce: options.nonce }), this.privateKey, this.signOptions());
+    const accessToken = jwtManager.sign(Object.assign({ aud: [options.audience || this.audience, `https://${this.domain}/userinfo`], azp: this.clientId, scope }, tokenClaims), this.privateKey, this.signOptions());
+    const authResult = { idToken, accessToken, expiresIn, tokenType: 'Bearer', scope };
+    if (options.state) {
+      authResult.state = options.state;
+    }
+    if (options.refreshToken) {
+      authResult.refreshToken = `fake-refresh-token-${this.refreshTokens.length + 1}`;
+      this.refreshTokens.push(authResult.refreshToken);
+    }
+    return authResult;
+  }
+
+  /**
+   * @description Get the options to sign the tokens with the key of the tenant
+   * @return {Object}
+   */
+  signOptions() {
+    return { algorithm: 'RS256', keyid: this.keyId };
+  }
+
+  /**
+   * @description Get the public signing key of the tenant as JSON web key set, as served at `jwksUri`
+   * @return {Object} the key set with the `keys`
+   */
+  getJwks() {
+    return { keys: [Object.assign({ kid: this.keyId, use: 'sig', alg: 'RS256' }, this.publicKey.export({ format: 'jwk' }))] };
+  }
+
+  /**
+   * @description Get the fake auth0 client, implementing the parts of `auth0.WebAuth` used by the library
+   * @return {Object}
+   */
+  createClient() {
+    return {
+      checkSession: (options, callback) => {
+        this.requests.push({ type: 'checkSession', options });
+        const error = this.tokenFailures.shift() || (this.loggedIn ? null : scenarios.loginRequired.error);
+        respond(callback, error, !error && this.issueTokens({ audience: options.audience, scope: options.scope, nonce: options.nonce, state: options.state, organization: options.organization }));
+      },
+      authorize: (options, callback) => {
+        // the universal login is recorded instead of leaving the page, the next `ensureLoggedIn` returns from it
+        this.requests.push({ type: 'authorize', options });
+        const error = this.loginFailures.shift();
+        if (!error) {
+          this.loggedIn = true;
+        }
+        if (options.responseType === 'code') {
+          const code = `fake-authorization-code-${this.getRequests('authorize').length}`;
+          this.authorizationCodes[code] = options;
+          const query = error ? `error=${error.error}&error_description=${encodeURIComponent(error.errorDescription)}` : `code=${code}`;
+          window.history.replaceState(window.history.state, '', `${window.location.pathname}?${query}&state=${options.state}`);
+        } else {
+          const result = !error && this.issueTokens({ audience: options.audience, scope: options.scope, nonce: options.nonce, state: options.state, organization: options.organization });
+          this.redirectResponse = { error, result };
+        }
+        respond(callback, null, undefined);
+      },
+      parseHash: (options, callback) => {
+        const response = this.redirectResponse || { error: null, result: null };
+        this.redirectResponse = null;
+        respond(callback, response.error, response.result);
+      },
+      client: {
+        buildAuthorizeUrl: options => `https://${this.domain}/authorize?client_id=${this.clientId}&state=${options.state}`,
+        userInfo: (accessToken, callback) => {
+          this.requests.push({ type: 'userInfo' });
+          respond(callback, null, Object.assign({}, this.claims));
+        },
+        oauthToken: (options, callback) => {
+          this.requests.push({ type: 'oauthToken', options });
+          if (options.grantType === 'authorization_code') {
+            const authorization = this.authorizationCodes[options.code];
+            delete this.authorizationCodes[options.code];
+            const codeError = !authorization && { code: 'invalid_grant', description: 'Invalid authorization code' };
+            respond(callback, codeError, !codeError && this.issueTokens({ audience: authorization.audience, scope: authorization.scope, nonce: authorization.nonce,
+              organization: authorization.organization, refreshToken: (authorization.scope || '').split(' ').includes('offline_access') }));
+            return;
+          }
+          const failure = this.tokenFailures.shift();
+          if (failure) {
+            respond(callback, { code: failure.error, description: failure.errorDescription });
+            return;
+          }
+          // refresh tokens are rotated, every refresh token can only be used once
+          const refreshTokenIndex = this.refreshTokens.indexOf(options.refreshToken);
+          if (!this.loggedIn || refreshTokenIndex < 0) {
+            respond(callback, { code: 'invalid_grant', description: 'Unknown or invalid refresh token.' });
+            return;
+          }
+          this.refreshTokens.splice(refreshTokenIndex, 1);
+          respond(callback, null, this.issueTokens({ refreshToken: true }));
+        }
+      }
+    };
+  }
+
+  /**
+   * @description Let an instance of the library use the tenant, instead of auth0, until `uninstall` is called. The logout is
+   * recorded instead of leaving the page, the signing keys are served at `jwksUri` or the `jwksUri` of the configuration.
+   * @param {Object} auth the instance of the library, created with the configuration of `getConfig`
+   * @return {FakeTenant} this tenant
+   */
+  install(auth) {
+    const client = this.createClient();
+    const provider = auth.auth0ClientProvider;
+    provider.getClient = () => client;
+    provider.resolveDomain = () => Promise.resolve(this.domain);
+    const updateWindow = windowInteraction.updateWindow;
+    windowInteraction.updateWindow = url => {
+      this.requests.push({ type: 'logout', url });
+      this.logout();
+    };
+    const fetch = windowInteraction.fetch;
+    windowInteraction.fetch = (input, init) => {
+      if (input !== this.jwksUri && input !== auth.config.jwksUri) {
+        return fetch.call(windowInteraction, input, init);
+      }
+      this.requests.push({ type: 'jwks', url: input });
+      const jwks = this.getJwks();
+      return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(jwks) });
+    };
+    this.restoreFunctions.push(() => {
+      delete provider.getClient;
+      delete provider.resolveDomain;
+      windowInteraction.updateWindow = updateWindow;
+      windowInteraction.fetch = fetch;
+    });
+    return this;
+  }
+
+  /**
+   * @description Restore the instances of the library installed on the tenant
+   * @return {*|void}
+   */
+  uninstall() {
+    this.restoreFunctions.splice(0).reverse().forEach(restore => restore());
+  }
+
+  /**
+   * @description Get the recorded requests to the tenant
+   * @param {string} [type] only requests of this type: `checkSession`, `authorize`, `oauthToken`, `userInfo`, `jwks` or `logout`
+   * @return {Array<Object>}
+   */
+  getRequests(type) {
+    return type ? this.requests.filter(request => request.type === type) : this.requests;
+  }
+}
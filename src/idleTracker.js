@@ -0,0 +1,181 @@
+import windowInteraction from './window-interaction';
+
+const activityEvents = [{ target: () => window, name: 'pointerdown' }, { target: () => window, name: 'pointermove' },
+  { target: () => window, name: 'keydown' }, { target: () => document, name: 'visibilitychange' }];
+// the activity is reported at most this often, i.e. to share it with the other tabs
+const activityReportIntervalMs = 5000;
+
+export default class IdleTracker {
+  /**
+   * @constructor create a tracker ending the session once the user was inactive for the idle timeout
+   * @param {Object} logger
+   * @param {Object} options
+   * @param {number} [options.timeout] milliseconds of inactivity after which the session ends, when not set the user is never idle
+   * @param {number} [options.warningTime=60000] milliseconds before the timeout at which the user is warned
+   * @param {string} [options.activityKey] the `localStorage` key the last activity is shared with the other tabs under, so that a tab
+   * in the background doesn't end the session while the user is active in another tab
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onWarning (remainingMs) the user is idle and the session ends in `remainingMs`
+   * @param {Function} callbacks.onTimeout the user was idle for the timeout
+   * @param {Function} callbacks.onActive the user is active again after the warning
+   * @param {Function} [callbacks.onActivity] the user interacted with this page, called at most every 5 seconds
+   */
+  constructor(logger, options, callbacks) {
+    this.logger = logger;
+    this.timeout = options.timeout;
+    this.warningTime = Math.min(options.warningTime === undefined ? 60000 : options.warningTime, options.timeout || 0);
+    this.callbacks = callbacks;
+    this.activityKey = options.activityKey;
+    this.lastActivity = null;
+    this.lastActivityShare = 0;
+    this.warned = false;
+    this.timerHandle = null;
+    this.lastActivityReport = 0;
+    this.activityListener = event => {
+      if (event.type === 'visibilitychange' && document.visibilityState !== 'visible') {
+        return;
+      }
+      this.recordActivity();
+      if (this.callbacks.onActivity && Date.now() - this.lastActivityReport >= activityReportIntervalMs) {
+        this.lastActivityReport = Date.now();
+        this.callbacks.onActivity();
+      }
+    };
+  }
+
+  /**
+   * @description Whether an idle timeout is configured
+   * @return {boolean}
+   */
+  isEnabled() {
+    return !!this.timeout;
+  }
+
+  /**
+   * @description Whether the user is inactive since the warning
+   * @return {boolean}
+   */
+  isIdle() {
+    return this.warned;
+  }
+
+  /**
+   * @description Start tracking the user activity, the inactivity is counted from now
+   * @return {*|void}
+   */
+  start() {
+    if (!this.isEnabled() || this.lastActivity !== null) {
+      return;
+    }
+    this.lastActivity = Date.now();
+    this.shareActivity();
+    activityEvents.forEach(activityEvent => activityEvent.target().addEventListener(activityEvent.name, this.activityListener));
+    this.schedule();
+  }
+
+  /**
+   * @description Stop tracking the user activity
+   * @return {*|void}
+   */
+  stop() {
+    if (this.lastActivity === null) {
+      return;
+    }
+    this.lastActivity = null;
+    this.warned = false;
+    this.lastActivityShare = 0;
+    if (this.activityKey) {
+      try {
+        localStorage.removeItem(this.activityKey);
+      } catch (error) {
+        this.logger.log({ title: 'Failed to remove the shared activity', error: error });
+      }
+    }
+    activityEvents.forEach(activityEvent => activityEvent.target().removeEventListener(activityEvent.name, this.activityListener));
+    windowInteraction.clearTimeout(this.timerHandle);
+    this.timerHandle = null;
+  }
+
+  /**
+   * @description Record an activity of the user, which extends the session
+   * @return {*|void}
+   */
+  recordActivity() {
+    if (this.lastActivity === null) {
+      return;
+    }
+    this.lastActivity = Date.now();
+    if (this.lastActivity - this.lastActivityShare >= activityReportIntervalMs) {
+      this.shareActivity();
+    }
+    if (this.warned) {
+      this.warned = false;
+      this.schedule();
+      this.callbacks.onActive();
+    }
+  }
+
+  /**
+   * @description Share the last activity of this tab with the other tabs
+   * @return {*|void}
+   */
+  shareActivity() {
+    if (!this.activityKey) {
+      return;
+    }
+    this.lastActivityShare = this.lastActivity;
+    try {
+      localStorage.setItem(this.activityKey, String(this.lastActivity));
+    } catch (error) {
+      this.logger.log({ title: 'Failed to share the activity with the other tabs', error: error });
+    }
+  }
+
+  /**
+   * @description Get the last activity of the user in this or any other tab
+   * @return {number}
+   */
+  getLastActivity() {
+    let sharedActivity = 0;
+    if (this.activityKey) {
+      try {
+        sharedActivity = Number(localStorage.getItem(this.activityKey)) || 0;
+      } catch (error) {
+        this.logger.log({ title: 'Failed to read the shared activity', error: error });
+      }
+    }
+    return Math.max(this.lastActivity, sharedActivity);
+  }
+
+  schedule() {
+    windowInteraction.clearTimeout(this.timerHandle);
+    const idleMs = Date.now() - this.lastActivity;
+    const deadline = this.warned ? this.timeout : this.timeout - this.warningTime;
+    this.timerHandle = windowInteraction.setTimeout(() => this.check(), Math.max(0, deadline - idleMs));
+  }
+
+  check() {
+    // the user may have been active in another tab in the meantime
+    this.lastActivity = this.getLastActivity();
+    const idleMs = Date.now() - this.lastActivity;
+    if (idleMs >= this.timeout) {
+      this.logger.log({ title: 'Session ended after inactivity', idleMs });
+      this.stop();
+      this.callbacks.onTimeout();
+      return;
+    }
+    if (this.warned && idleMs < this.timeout - this.warningTime) {
+      this.warned = false;
+      this.schedule();
+      this.callbacks.onActive();
+      return;
+    }
+    if (!this.warned && idleMs >= this.timeout - this.warningTime) {
+      this.warned = true;
+      this.schedule();
+      this.callbacks.onWarning(this.timeout - idleMs);
+      return;
+    }
+    this.schedule();
+  }
+}
@@ -0,0 +1,50 @@
+function matchesTags(entry, tags) {
+  return Object.keys(tags).every(tag => entry.tags[tag] === tags[tag]);
+}
+
+export default class InMemoryReporter {
+  /**
+   * @constructor create a metrics reporter which keeps the metrics in memory, i.e. to assert them in tests
+   */
+  constructor() {
+    this.timings = [];
+    this.counts = [];
+  }
+
+  timing(name, duration, tags) {
+    this.timings.push({ name, duration, tags });
+  }
+
+  count(name, value, tags) {
+    this.counts.push({ name, value, tags });
+  }
+
+  /**
+   * @description Get the reported durations of a metric
+   * @param {string} name the metric
+   * @param {Object} [tags] only durations with these tags
+   * @return {Array<Object>} the `name`, `duration` and `tags` of every measurement
+   */
+  getTimings(name, tags = {}) {
+    return this.timings.filter(timing => timing.name === name && matchesTags(timing, tags));
+  }
+
+  /**
+   * @description Get the total count of a metric
+   * @param {string} name the metric
+   * @param {Object} [tags] only occurrences with these tags
+   * @return {number}
+   */
+  getCount(name, tags = {}) {
+    return this.counts.filter(count => count.name === name && matchesTags(count, tags)).reduce((total, count) => total + count.value, 0);
+  }
+
+  /**
+   * @description Remove all reported metrics
+   * @return {*|void}
+   */
+  clear() {
+    this.timings = [];
+    this.counts = [];
+  }
+}
@@ -1,19 +1,104 @@
+import { v4 } from 'uuid';
+
+const levels = ['debug', 'info', 'warn', 'error'];
+const consoleMethods = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+const redacted = '[REDACTED]';
+// fields holding a token, redacted whatever their format; authorization codes are redacted from urls, as `code` is the error code elsewhere
+const secretFields = ['accessToken', 'access_token', 'idToken', 'id_token', 'refreshToken', 'refresh_token', 'invalidToken', 'token',
+  'codeVerifier', 'code_verifier', 'authorization', 'Authorization'];
+const jwtPattern = /eyJ[\w-]*\.[\w-]*\.[\w-]*/g;
+const secretParameterPattern = /([?&#](?:access_token|id_token|refresh_token|code)=)[^&#\s]+/g;
+const bearerPattern = /(Bearer )[\w.~+/-]+=*/g;
+const maxDepth = 8;
+
+function redactString(value) {
+  return value.replace(jwtPattern, redacted).replace(secretParameterPattern, `$1${redacted}`).replace(bearerPattern, `$1${redacted}`);
+}
+
+function redact(value, depth = 0, seen = []) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= maxDepth || seen.includes(value)) {
+    return '[Truncated]';
+  }
+  const nextSeen = seen.concat([value]);
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, nextSeen));
+  }
+  // errors are copied with their non-enumerable message and stack, which may contain a token as well
+  const source = value instanceof Error ? Object.assign({ name: value.name, message: value.message, stack: value.stack }, value) : value;
+  return Object.keys(source).reduce((copy, key) => {
+    copy[key] = secretFields.includes(key) && source[key] ? redacted : redact(source[key], depth + 1, nextSeen);
+    return copy;
+  }, {});
+}
+
 export default class Logger {
   /**
    * @constructor create a logger with configuration
    * @param {Object} config configuration to wrap
+   * @param {string} [config.logLevel=info] the minimum level of the logged messages: `debug`, `info`, `warn` or `error`
+   * @param {Array<Function>} [config.logSinks] (message) functions receiving the messages in addition to the `log` hook, without either the messages are logged to the console
    */
   constructor(config) {
-    this.config = config;
+    this.config = config || {};
+    this.instanceId = v4();
+    this.correlationId = null;
   }
 
   /**
-   * @description logs the message to the console, or to a provided hook
+   * @description Start a new login attempt, the messages logged from now on carry its correlation id
+   * @return {string} the correlation id
+   */
+  startCorrelation() {
+    this.correlationId = v4();
+    return this.correlationId;
+  }
+
+  /**
+   * @description Get the level of a message, an explicit `level` is used case-insensitively, otherwise messages with an error are errors
+   * @param message the message to log
+   * @return {string}
+   */
+  static getLevel(message) {
+    const level = message && typeof message.level === 'string' && message.level.toLowerCase();
+    if (levels.includes(level)) {
+      return level;
+    }
+    return message && typeof message === 'object' && message.error ? 'error' : 'info';
+  }
+
+  /**
+   * @description logs the message to the console, or to the provided `log` hook and `logSinks`. Tokens and authorization codes are
+   * redacted from every field, and message objects get the `level`, `timestamp`, `instanceId` and `correlationId` fields.
    * @param message to log
    * @return {*|void}
    */
   log(message) {
-    const logFunc = (this.config && this.config.hooks && this.config.hooks.log) || console.log;
-    return logFunc(message);
+    const level = Logger.getLevel(message);
+    const minimumLevel = levels.includes(this.config.logLevel) ? this.config.logLevel : 'info';
+    if (levels.indexOf(level) < levels.indexOf(minimumLevel)) {
+      return;
+    }
+
+    const output = message && typeof message === 'object' && !Array.isArray(message)
+      ? redact(Object.assign({ timestamp: new Date().toISOString(), instanceId: this.instanceId, correlationId: this.correlationId }, message, { level }))
+      : redact(message);
+    const sinks = [].concat((this.config.hooks && this.config.hooks.log) || [], this.config.logSinks || []);
+    if (!sinks.length) {
+      console[consoleMethods[level]](output);
+      return;
+    }
+    sinks.forEach(sink => {
+      try {
+        sink(output);
+      } catch (error) {
+        // a failing sink must neither break the login nor the other sinks
+      }
+    });
   }
 }
@@ -0,0 +1,65 @@
+export default class Metrics {
+  /**
+   * @constructor create the metrics of an instance, which are passed to every reporter
+   * @param {Array<Object>} [reporters=[]] reporters implementing `timing(name, durationMs, tags)` and `count(name, value, tags)`,
+   * i.e. the `InMemoryReporter` or the `PerformanceMarkReporter`
+   */
+  constructor(reporters) {
+    this.reporters = reporters || [];
+  }
+
+  /**
+   * @description Start measuring the duration of an operation
+   * @param {string} name the metric, i.e. `ensureLoggedIn`
+   * @param {Object} [tags] tags of the measurement
+   * @return {Function} (additionalTags) stops the measurement and reports the duration, i.e. with the `outcome` tag
+   */
+  startTimer(name, tags) {
+    const start = Date.now();
+    return additionalTags => this.timing(name, Date.now() - start, Object.assign({}, tags, additionalTags));
+  }
+
+  /**
+   * @description Report the duration of an operation
+   * @param {string} name the metric
+   * @param {number} duration milliseconds the operation took
+   * @param {Object} [tags] tags of the measurement
+   * @return {*|void}
+   */
+  timing(name, duration, tags) {
+    this.report('timing', name, duration, tags);
+  }
+
+  /**
+   * @description Count an occurrence
+   * @param {string} name the metric
+   * @param {Object} [tags] tags of the occurrence
+   * @return {*|void}
+   */
+  increment(name, tags) {
+    this.report('count', name, 1, tags);
+  }
+
+  /**
+   * @description Count an error by its code, the `code` of an `AuthError`
+   * @param {*} error the error
+   * @param {string} operation the operation which failed, i.e. `ensureLoggedIn`
+   * @return {*|void}
+   */
+  countError(error, operation) {
+    const code = (error && (error.code || error.errorCode || error.error)) || 'Unknown';
+    this.increment('error', { code, operation });
+  }
+
+  report(type, name, value, tags) {
+    this.reporters.forEach(reporter => {
+      try {
+        if (typeof reporter[type] === 'function') {
+          reporter[type](name, value, tags || {});
+        }
+      } catch (error) {
+        // a failing reporter must neither break the login nor the other reporters
+      }
+    });
+  }
+}
@@ -0,0 +1,28 @@
+// static network state, wrapped for enabling easier mocking through unit tests
+export default class NetworkStatus {
+  /**
+   * @description Whether the browser reports that it has no network connection
+   * @return {boolean}
+   */
+  static isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  /**
+   * @description Whether an error was caused by the network rather than by auth0, i.e. a failed `fetch` or a request of
+   * auth0-js which was terminated before auth0 responded
+   * @param {*} error the error to check
+   * @return {boolean}
+   */
+  static isNetworkError(error) {
+    if (NetworkStatus.isOffline()) {
+      return true;
+    }
+    // the message differs per browser: `Failed to fetch`, `NetworkError when attempting to fetch resource.`, `Load failed`
+    if (error instanceof TypeError && (/fetch|network|load failed/i).test(error.message)) {
+      return true;
+    }
+    const original = error && error.original;
+    return !!(original && (original.crossDomain || (/^Request has been terminated/).test(original.message)));
+  }
+}
@@ -0,0 +1,28 @@
+export default class PerformanceMarkReporter {
+  /**
+   * @constructor create a metrics reporter which emits a `PerformanceMark` for every metric, so that they show up in the performance
+   * timeline of the developer tools and can be collected with a `PerformanceObserver` for the `mark` entry type
+   * @param {Object} [options]
+   * @param {string} [options.prefix=auth0-sso-login] prefix of the mark names, followed by a colon and the metric
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'auth0-sso-login';
+  }
+
+  timing(name, duration, tags) {
+    // the mark is placed at the start of the operation, its detail holds the duration
+    this.mark(name, { duration, tags }, duration);
+  }
+
+  count(name, value, tags) {
+    this.mark(name, { value, tags });
+  }
+
+  mark(name, detail, duration) {
+    if (typeof performance === 'undefined' || typeof performance.mark !== 'function') {
+      return;
+    }
+    const options = duration === undefined ? { detail } : { detail, startTime: Math.max(0, performance.now() - duration) };
+    performance.mark(`${this.prefix}:${name}`, options);
+  }
+}
@@ -0,0 +1,136 @@
+import StorageNamespace from './storageNamespace';
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+}
+
+function randomString(byteLength) {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+export default class PkceHandler {
+  /**
+   * @constructor create a handler for the login transactions of the universal login, in particular for the authorization code + PKCE flow
+   * @param {Object} logger
+   * @param {StorageNamespace} [storageNamespace] the namespace of the stored login transactions
+   */
+  constructor(logger, storageNamespace = new StorageNamespace()) {
+    this.logger = logger;
+    this.transactionKeyPrefix = `${storageNamespace.key('transaction')}.`;
+  }
+
+  /**
+   * @description Create a random value, i.e. a state or nonce
+   * @return {string}
+   */
+  static createNonce() {
+    return randomString(32);
+  }
+
+  /**
+   * @description Create a new login transaction with its state and nonce, the nonce is saved under the state
+   * so that the returned ID token can be validated once the user returns from the login page.
+   * @return {Object} the `state` and `nonce`
+   */
+  createTransaction() {
+    const transaction = { state: PkceHandler.createNonce(), nonce: PkceHandler.createNonce() };
+    this.saveTransaction(transaction.state, { nonce: transaction.nonce });
+    return transaction;
+  }
+
+  /**
+   * @description Create a new login transaction with a code verifier and its S256 challenge, the verifier is saved under the
+   * returned state so that it can be used to exchange the authorization code once the user returns from the login page.
+   * @return {Promise<Object>} the `state`, `nonce`, `codeVerifier` and `codeChallenge`
+   */
+  async createChallenge() {
+    const state = PkceHandler.createNonce();
+    const nonce = PkceHandler.createNonce();
+    const codeVerifier = randomString(32);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    const codeChallenge = base64UrlEncode(digest);
+
+    this.saveTransaction(state, { nonce, codeVerifier });
+    return { state, nonce, codeVerifier, codeChallenge };
+  }
+
+  /**
+   * @description Save a login transaction under its state
+   * @param state the state sent to the authorization server
+   * @param transaction the values needed once the user returns
+   * @return {*|void}
+   */
+  saveTransaction(state, transaction) {
+    try {
+      localStorage.setItem(`${this.transactionKeyPrefix}${state}`, JSON.stringify(transaction));
+    } catch (error) {
+      this.logger.log({ title: 'Failed to save login transaction in local storage', error: error });
+    }
+  }
+
+  /**
+   * @description Get and remove the login transaction which was created for the state
+   * @param state the state returned by the authorization server
+   * @return {null|Object} the `nonce` and for PKCE the `codeVerifier`, or null if no transaction was stored for the state
+   */
+  consumeTransaction(state) {
+    try {
+      const key = `${this.transactionKeyPrefix}${state}`;
+      const transaction = JSON.parse(localStorage.getItem(key));
+      localStorage.removeItem(key);
+      return transaction;
+    } catch (error) {
+      this.logger.log({ title: 'Failed to get login transaction from local storage', error: error });
+    }
+    return null;
+  }
+
+  /**
+   * @description Read the authorization response from the current url query
+   * @return {null|Object} the `code` and `state`, or `error` and `errorDescription`; null if the url contains no response, which always
+   * contains the `state`
+   */
+  parseQuery() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.get('state') || (!params.has('code') && !params.has('error'))) {
+      return null;
+    }
+    return {
+      code: params.get('code'),
+      state: params.get('state'),
+      error: params.get('error'),
+      errorDescription: params.get('error_description')
+    };
+  }
+
+  /**
+   * @description Read and remove an invitation to an organization from the current url query, as sent in the invitation link of auth0
+   * @return {null|Object} the `invitation` and `organization`, or null if the url contains no invitation
+   */
+  parseInvitation() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.get('invitation') || !params.get('organization')) {
+      return null;
+    }
+    this.clearQuery(['invitation', 'organization', 'organization_name']);
+    return { invitation: params.get('invitation'), organization: params.get('organization') };
+  }
+
+  /**
+   * @description Remove the authorization response from the url, so that the code never ends up in the browser history
+   * @param {Array<string>} [params] the query parameters to remove, by default those of the authorization response
+   * @return {*|void}
+   */
+  clearQuery(params = ['code', 'state', 'error', 'error_description']) {
+    try {
+      const url = new URL(window.location.href);
+      params.forEach(param => url.searchParams.delete(param));
+      history.replaceState(null, null, `${url.pathname}${url.search}${url.hash}`);
+    } catch (error) {
+      this.logger.log({ title: 'Failed to remove authorization response from url', error: error });
+    }
+  }
+}
@@ -0,0 +1,83 @@
+import windowInteraction from './window-interaction';
+
+const closedPollIntervalMs = 1000;
+
+function popupError(error, errorCode, errorDescription) {
+  return { error, errorCode, errorDescription };
+}
+
+export default class PopupHandler {
+  /**
+   * @constructor create a handler for logins in a popup window
+   * @param {Object} logger
+   */
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * @description Open an empty popup, this has to happen synchronously in the user interaction (i.e. a click),
+   * otherwise the browser blocks it
+   * @return {Window} the popup
+   */
+  open() {
+    const popup = windowInteraction.openPopup('', 'auth0:authorize:popup');
+    if (!popup) {
+      throw popupError('popup_blocked', 'PopupBlocked', 'The login popup was blocked by the browser.');
+    }
+    return popup;
+  }
+
+  /**
+   * @description Load the authorize url, requested with `response_mode=web_message`, in the popup and wait for the response
+   * @param {Window} popup the popup opened with `open`
+   * @param {string} url the authorize url
+   * @param {Object} options
+   * @param {string} options.origin the origin of the auth0 domain which posts the response
+   * @param {string} options.state the state sent with the authorize request
+   * @param {number} options.timeout time in milliseconds to wait for the user to login
+   * @return {Promise<Object>} resolved promise with the authorization response; rejected promise with a `PopupClosed`, `PopupTimeout` or auth0 error
+   */
+  waitForResponse(popup, url, { origin, state, timeout }) {
+    return new Promise((resolve, reject) => {
+      let closedPollHandle;
+      let timeoutHandle;
+      let listener;
+      const finish = () => {
+        window.removeEventListener('message', listener);
+        windowInteraction.clearTimeout(closedPollHandle);
+        windowInteraction.clearTimeout(timeoutHandle);
+        popup.close();
+      };
+      listener = event => {
+        if (event.origin !== origin || !event.data || event.data.type !== 'authorization_response' || !event.data.response || event.data.response.state !== state) {
+          return;
+        }
+        finish();
+        const response = event.data.response;
+        if (response.error) {
+          reject({ error: response.error, errorDescription: response.error_description });
+          return;
+        }
+        resolve(response);
+      };
+      const pollClosed = () => {
+        if (popup.closed) {
+          finish();
+          reject(popupError('popup_closed', 'PopupClosed', 'The login popup was closed before the login completed.'));
+          return;
+        }
+        closedPollHandle = windowInteraction.setTimeout(pollClosed, closedPollIntervalMs);
+      };
+
+      window.addEventListener('message', listener);
+      timeoutHandle = windowInteraction.setTimeout(() => {
+        finish();
+        reject(popupError('timeout', 'PopupTimeout', `The login in the popup did not complete within ${timeout}ms.`));
+      }, timeout);
+      closedPollHandle = windowInteraction.setTimeout(pollClosed, closedPollIntervalMs);
+      this.logger.log({ title: 'Opening login page in popup and waiting for result.' });
+      popup.location.href = url;
+    });
+  }
+}
@@ -0,0 +1,142 @@
+import jwtManager from 'jsonwebtoken';
+import { ProfileError } from './errors';
+import Metrics from './metrics';
+
+const defaultCacheTtlMs = 5 * 60 * 1000;
+
+export default class ProfileManager {
+  /**
+   * @constructor create a manager reading and updating the profile of the logged in user
+   * @param {Object} config
+   * @param {string} config.domain the auth0 domain
+   * @param {number} [config.profileCacheTtl=300000] milliseconds the profile is cached, 0 to always retrieve it
+   * @param {Auth0ClientProvider} auth0ClientProvider
+   * @param {Metrics} [metrics] reports the latency of the profile retrieval
+   */
+  constructor(config, auth0ClientProvider, metrics = new Metrics()) {
+    this.config = config;
+    this.auth0ClientProvider = auth0ClientProvider;
+    this.metrics = metrics;
+    this.cache = null;
+  }
+
+  /**
+   * @description Get the access token if it can be used for the Management API with a scope, which requires the Management API
+   * audience `https://${domain}/api/v2/`
+   * @param {Object} authResult the auth0 authorization result
+   * @param {string} scope the required Management API scope, i.e. `read:current_user`
+   * @return {null|String} the access token if it was granted the scope; null otherwise
+   */
+  getManagementToken(authResult, scope) {
+    const claims = authResult && authResult.accessToken && jwtManager.decode(authResult.accessToken);
+    const audiences = [].concat((claims && claims.aud) || []);
+    const scopes = ((claims && claims.scope) || '').split(' ');
+    return audiences.includes(`https://${this.config.domain}/api/v2/`) && scopes.includes(scope) ? authResult.accessToken : null;
+  }
+
+  /**
+   * @description Get the user ID of the logged in user
+   * @param {Object} authResult the auth0 authorization result
+   * @return {String} the `sub` claim
+   */
+  getUserId(authResult) {
+    const claims = authResult && ((authResult.accessToken && jwtManager.decode(authResult.accessToken)) || (authResult.idToken && jwtManager.decode(authResult.idToken)));
+    if (!claims || !claims.sub) {
+      throw new ProfileError('Current idToken or auth0AccessToken is not available.');
+    }
+    return claims.sub;
+  }
+
+  /**
+   * @description Get the profile, from the cache if it was retrieved within the `profileCacheTtl`. It is retrieved from the
+   * Management API if the access token was granted `read:current_user`, otherwise from the `/userinfo` endpoint.
+   * @param {Object} authResult the auth0 authorization result
+   * @param {Object} [options]
+   * @param {boolean} [options.forceRefresh=false] retrieve the profile even if it is cached
+   * @return {Promise<Object>} resolved promise with the profile; rejected promise with a `ProfileError`
+   */
+  getProfile(authResult, { forceRefresh } = {}) {
+    return Promise.resolve()
+    .then(() => {
+      const userId = this.getUserId(authResult);
+      if (!forceRefresh && this.cache && this.cache.userId === userId && this.cache.expiresAt > Date.now()) {
+        return this.cache.profile;
+      }
+
+      const managementToken = this.getManagementToken(authResult, 'read:current_user');
+      const stopTimer = this.metrics.startTimer('profile', { source: managementToken ? 'management' : 'userinfo' });
+      return new Promise((resolve, reject) => {
+        const callback = (error, profile) => (error ? reject(new ProfileError('Failed to get profile', error)) : resolve(profile));
+        if (managementToken) {
+          this.auth0ClientProvider.getManagementClient(managementToken).getUser(userId, callback);
+        } else {
+          this.auth0ClientProvider.getClient().client.userInfo(authResult.accessToken, callback);
+        }
+      })
+      .then(profile => {
+        stopTimer({ outcome: 'success' });
+        return this.cacheProfile(userId, profile);
+      }, error => {
+        stopTimer({ outcome: 'error' });
+        throw error;
+      });
+    })
+    .catch(error => {
+      this.metrics.countError(error, 'getProfile');
+      throw error;
+    });
+  }
+
+  /**
+   * @description Update the `user_metadata` of the logged in user, requires the `update:current_user_metadata` Management API scope
+   * @param {Object} authResult the auth0 authorization result
+   * @param {Object} patch the metadata properties to set, properties set to null are removed
+   * @return {Promise<Object>} resolved promise with the updated profile; rejected promise with a `ProfileError`
+   */
+  updateUserMetadata(authResult, patch) {
+    return this.callManagementApi(authResult, 'update:current_user_metadata', (client, userId, callback) => client.patchUserMetadata(userId, patch, callback))
+    .then(profile => this.cacheProfile(profile.user_id || this.getUserId(authResult), profile));
+  }
+
+  /**
+   * @description Link another account to the logged in user, requires the `update:current_user_identities` Management API scope
+   * @param {Object} authResult the auth0 authorization result
+   * @param {String} secondaryIdToken the ID token of the account to link, i.e. from a login with another connection
+   * @return {Promise<Array<Object>>} resolved promise with the identities of the user; rejected promise with a `ProfileError`
+   */
+  linkAccount(authResult, secondaryIdToken) {
+    return this.callManagementApi(authResult, 'update:current_user_identities', (client, userId, callback) => client.linkUser(userId, secondaryIdToken, callback))
+    .then(identities => {
+      this.invalidate();
+      return identities;
+    });
+  }
+
+  callManagementApi(authResult, scope, call) {
+    return Promise.resolve()
+    .then(() => {
+      const userId = this.getUserId(authResult);
+      const managementToken = this.getManagementToken(authResult, scope);
+      if (!managementToken) {
+        throw new ProfileError(`The access token was not granted the '${scope}' scope of the Management API.`);
+      }
+      return new Promise((resolve, reject) => {
+        call(this.auth0ClientProvider.getManagementClient(managementToken), userId, (error, result) => (error ? reject(new ProfileError('Management API call failed', error)) : resolve(result)));
+      });
+    });
+  }
+
+  cacheProfile(userId, profile) {
+    const ttl = this.config.profileCacheTtl === undefined ? defaultCacheTtlMs : this.config.profileCacheTtl;
+    this.cache = { userId, profile, expiresAt: Date.now() + ttl };
+    return profile;
+  }
+
+  /**
+   * @description Remove the cached profile, i.e. on login and logout
+   * @return {*|void}
+   */
+  invalidate() {
+    this.cache = null;
+  }
+}
@@ -1,43 +1,109 @@
-const redirectUriKey = 'cimpress.io.auth0-sso-login.redirectUri';
+import StorageNamespace from './storageNamespace';
+
+// the single redirect stored by previous versions
+const legacyRedirectUriKey = 'cimpress.io.auth0-sso-login.redirectUri';
+const redirectExpiryMs = 60 * 60 * 1000;
+
+// a path prefix of the allowlist only matches whole path segments, `/app` matches `/app/orders` but not `/application`
+function isWithinPath(pathname, prefix) {
+  return pathname === prefix || pathname.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`);
+}
 
 export default class RedirectHandler {
   /**
    * @constructor create a redirect handler to store the redirect
    * @param {Object} logger
+   * @param {Array<string>} [allowlist=[window.location.origin]] the origins, optionally with a path prefix, which may be redirected to
+   * @param {StorageNamespace} [storageNamespace] the namespace of the stored redirects
    */
-  constructor(logger) {
+  constructor(logger, allowlist, storageNamespace = new StorageNamespace()) {
     this.logger = logger;
+    // the current origin is only read once a redirect is checked, so that the handler can be created outside of a browser
+    this.allowlist = allowlist || null;
+    this.redirectKeyPrefix = `${storageNamespace.key('redirect')}.`;
   }
 
   /**
-   * @description Save a redirect
+   * @description Check that a redirect target is within the allowlist, so that the login can't be abused as open redirect
+   * @param redirectUri the redirect target, relative to the current location
+   * @return {boolean}
+   */
+  isAllowed(redirectUri) {
+    try {
+      const target = new URL(redirectUri, window.location.href);
+      return (this.allowlist || [window.location.origin]).some(entry => {
+        const allowed = new URL(entry, window.location.href);
+        return target.origin === allowed.origin && isWithinPath(target.pathname, allowed.pathname);
+      });
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @description Save a redirect for the login transaction with the state
    * @param redirectUri redirectUrl to save
+   * @param state the OAuth state sent to the login page
+   * @param [appState] application state to restore once the user returns
    * @return {*|void}
    */
-  setRedirect(redirectUri) {
+  setRedirect(redirectUri, state, appState) {
+    this.clearExpiredRedirects();
+    if (!this.isAllowed(redirectUri)) {
+      this.logger.log({ title: 'Redirect is not allowed', errorCode: 'RedirectRejected', url: redirectUri });
+      return;
+    }
     try {
-      this.logger.log({ title: 'Saving redirect in local storage', url: redirectUri });
-      localStorage.setItem(redirectUriKey, redirectUri);
+      this.logger.log({ title: 'Saving redirect in local storage', level: 'debug', url: redirectUri });
+      localStorage.setItem(`${this.redirectKeyPrefix}${state}`, JSON.stringify({ redirectUri, appState, expiresAt: Date.now() + redirectExpiryMs }));
     } catch (error) {
       this.logger.log({ title: 'Failed to set redirect in local storage', error: error });
     }
   }
 
   /**
-   * @description Navigate a redirect if one is stored, otherwise return
-   * @return {*_void}
+   * @description Navigate to the redirect stored for the state, if it is allowed and not expired. The history can only be replaced
+   * with a redirect to the current origin, the application navigates to a redirect to another allowed origin itself.
+   * @param state the OAuth state returned by auth0
+   * @return {null|Object} the `redirectUri` and `appState` if a redirect was stored; null otherwise
    */
-  attemptRedirect() {
+  attemptRedirect(state) {
     try {
-      let redirectUri = localStorage.getItem(redirectUriKey);
-      localStorage.removeItem(redirectUriKey);
-      if (redirectUri) {
-        history.replaceState(null, null, redirectUri);
-        return redirectUri;
+      localStorage.removeItem(legacyRedirectUriKey);
+      const key = `${this.redirectKeyPrefix}${state}`;
+      const redirect = state && JSON.parse(localStorage.getItem(key));
+      localStorage.removeItem(key);
+      if (!redirect || !(redirect.expiresAt > Date.now())) {
+        return null;
       }
+      if (!this.isAllowed(redirect.redirectUri)) {
+        this.logger.log({ title: 'Redirect is not allowed', errorCode: 'RedirectRejected', url: redirect.redirectUri });
+        return { redirectUri: null, appState: redirect.appState };
+      }
+      if (new URL(redirect.redirectUri, window.location.href).origin === window.location.origin) {
+        history.replaceState(null, null, redirect.redirectUri);
+      }
+      return { redirectUri: redirect.redirectUri, appState: redirect.appState };
     } catch (error) {
       this.logger.log({ title: 'Failed to get redirect from local storage', error: error });
     }
     return null;
   }
+
+  /**
+   * @description Remove the redirects of logins which were never completed
+   * @return {*|void}
+   */
+  clearExpiredRedirects() {
+    try {
+      Object.keys(localStorage).filter(key => key.startsWith(this.redirectKeyPrefix)).forEach(key => {
+        const redirect = JSON.parse(localStorage.getItem(key));
+        if (!redirect || !(redirect.expiresAt > Date.now())) {
+          localStorage.removeItem(key);
+        }
+      });
+    } catch (error) {
+      this.logger.log({ title: 'Failed to remove expired redirects from local storage', error: error });
+    }
+  }
 }
@@ -0,0 +1,52 @@
+const defaults = {
+  maxAttempts: 5,
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  nonRetryableErrors: ['consent_required', 'login_required', 'interaction_required', 'invalid_token']
+};
+
+export default class RetryPolicy {
+  /**
+   * @constructor create the policy deciding if and when a failed token renewal is attempted again
+   * @param {Object} [config]
+   * @param {number} [config.maxAttempts=5] maximum number of attempts, including the first one
+   * @param {number} [config.initialDelay=1000] delay in milliseconds before the first retry, doubled (see `factor`) for every further retry
+   * @param {number} [config.maxDelay=30000] maximum delay in milliseconds between two attempts
+   * @param {number} [config.factor=2] factor the delay grows by with every retry
+   * @param {boolean} [config.jitter=true] randomize each delay between half and the full delay, so that clients don't retry in lockstep
+   * @param {Array<string>} [config.nonRetryableErrors] auth0 errors which are not retried, i.e. because the user has to login again
+   * @param {Function} [config.shouldRetry] (error, attempt) decides whether a retryable error is retried, `attempt` is the number of the failed attempt starting at 1
+   */
+  constructor(config) {
+    this.config = Object.assign({}, defaults, config);
+  }
+
+  /**
+   * @description Decide whether a failed attempt is retried
+   * @param {Object} error the error the attempt failed with
+   * @param {number} attempt the number of the failed attempt, starting at 1
+   * @return {boolean}
+   */
+  shouldRetry(error, attempt) {
+    if (attempt >= this.config.maxAttempts || this.config.nonRetryableErrors.includes(error && error.error)) {
+      return false;
+    }
+    // auth0 returned a response without tokens, which will not change by asking again
+    if (error && error.authResultError !== undefined) {
+      return false;
+    }
+    return this.config.shouldRetry ? !!this.config.shouldRetry(error, attempt) : true;
+  }
+
+  /**
+   * @description Get the delay before the next attempt
+   * @param {number} attempt the number of the failed attempt, starting at 1
+   * @return {number} delay in milliseconds
+   */
+  getDelay(attempt) {
+    const delay = Math.min(this.config.maxDelay, this.config.initialDelay * Math.pow(this.config.factor, attempt - 1));
+    return this.config.jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+  }
+}
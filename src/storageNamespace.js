@@ -0,0 +1,33 @@
+const keyPrefix = 'cimpress.io.auth0-sso-login';
+const auth0TransactionKeyPrefix = 'com.auth0.auth.';
+
+export default class StorageNamespace {
+  /**
+   * @constructor create the namespace of the keys an instance persists, so that instances for several clients or tenants
+   * on the same page don't overwrite each other's redirects, login transactions, sessions and tab messages
+   * @param {Object} [config]
+   * @param {string} [config.storageNamespace] explicit namespace, defaults to the `domain` and `clientId`
+   * @param {string} [config.domain]
+   * @param {string} [config.clientId]
+   */
+  constructor(config = {}) {
+    this.namespace = config.storageNamespace || [config.domain, config.clientId].filter(Boolean).join('.');
+  }
+
+  /**
+   * @description Get the key of an item of this instance
+   * @param {string} [name] the item, i.e. `session`, without a name the key of the namespace itself
+   * @return {string}
+   */
+  key(name) {
+    return [keyPrefix, this.namespace, name].filter(Boolean).join('.');
+  }
+
+  /**
+   * @description Get the prefix of the transactions auth0-js saves for the logins of this instance, followed by the state
+   * @return {string}
+   */
+  get auth0TransactionPrefix() {
+    return this.namespace ? `${auth0TransactionKeyPrefix}${this.namespace}.` : auth0TransactionKeyPrefix;
+  }
+}
@@ -0,0 +1,217 @@
+import { v4 } from 'uuid';
+import windowInteraction from './window-interaction';
+import StorageNamespace from './storageNamespace';
+
+const leaseDurationMs = 10000;
+
+export default class TabSynchronizer {
+  /**
+   * @constructor create a synchronizer sharing the login state with the other tabs of the same origin,
+   * through a `BroadcastChannel` or where it isn't supported through `storage` events
+   * @param {Object} logger
+   * @param {boolean} enabled when not enabled no messages are sent and this tab always owns the token refresh
+   * @param {StorageNamespace} [storageNamespace] the namespace of the channel, only tabs of instances with the same namespace are synchronized
+   */
+  constructor(logger, enabled, storageNamespace = new StorageNamespace()) {
+    this.logger = logger;
+    this.enabled = !!enabled;
+    this.channelName = storageNamespace.key();
+    this.messageKey = storageNamespace.key('message');
+    this.refreshOwnerKey = storageNamespace.key('refreshOwner');
+    this.refreshLockName = storageNamespace.key('refreshLock');
+    this.tabId = v4();
+    this.handlers = {};
+    this.channel = null;
+    this.storageListener = null;
+    this.leaseHandle = null;
+    if (this.enabled) {
+      this.connect();
+    }
+  }
+
+  /**
+   * @description Start listening to messages of other tabs
+   * @return {*|void}
+   */
+  connect() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.onmessage = event => this.receive(event.data);
+    } else {
+      this.storageListener = event => {
+        if (event.key === this.messageKey && event.newValue) {
+          this.receive(JSON.parse(event.newValue));
+        }
+      };
+      window.addEventListener('storage', this.storageListener);
+    }
+    window.addEventListener('pagehide', () => this.releaseRefreshOwnership());
+  }
+
+  /**
+   * @description Stop listening to messages of other tabs and give up the token refresh
+   * @return {*|void}
+   */
+  close() {
+    this.releaseRefreshOwnership();
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    if (this.storageListener) {
+      window.removeEventListener('storage', this.storageListener);
+      this.storageListener = null;
+    }
+  }
+
+  /**
+   * @description Register the handler for a message type sent by other tabs
+   * @param {string} type message type
+   * @param {Function} handler (message) called with the received message
+   */
+  on(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * @description Send a message to all other tabs
+   * @param {string} type message type
+   * @param {Object} [payload] additional message properties
+   * @return {*|void}
+   */
+  publish(type, payload) {
+    if (!this.enabled) {
+      return;
+    }
+    const message = Object.assign({ type, tabId: this.tabId, messageId: v4() }, payload);
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        // other tabs receive a storage event for the change, the message doesn't need to stay in the storage
+        localStorage.setItem(this.messageKey, JSON.stringify(message));
+        localStorage.removeItem(this.messageKey);
+      }
+    } catch (error) {
+      this.logger.log({ title: 'Failed to send message to other tabs', type, error: error });
+    }
+  }
+
+  /**
+   * @description Pass a message of another tab to its handler
+   * @param {Object} message received message
+   * @return {*|void}
+   */
+  receive(message) {
+    if (!message || message.tabId === this.tabId || !this.handlers[message.type]) {
+      return;
+    }
+    this.handlers[message.type](message);
+  }
+
+  /**
+   * @description Try to become the only tab which refreshes the token, see `acquireRefreshOwnership`. Where the browser supports
+   * the Web Locks API the lease is checked and taken while holding a lock, so that two tabs can't both take it at the same time.
+   * @return {Promise<boolean>} true if this tab owns the token refresh; false if another tab does
+   */
+  requestRefreshOwnership() {
+    if (!this.enabled || typeof navigator === 'undefined' || !navigator.locks) {
+      return Promise.resolve(this.acquireRefreshOwnership());
+    }
+    return navigator.locks.request(this.refreshLockName, () => this.acquireRefreshOwnership())
+    .catch(error => {
+      this.logger.log({ title: 'Failed to lock token refresh ownership', error: error });
+      return this.acquireRefreshOwnership();
+    });
+  }
+
+  /**
+   * @description Try to become the only tab which refreshes the token. The ownership is a lease which is renewed as long as
+   * this tab is open, so that another tab can take over when it was closed without releasing it. Without a lock the lease
+   * is read back after taking it, and left to the other tab if both took it at the same time.
+   * @return {boolean} true if this tab owns the token refresh; false if another tab does
+   */
+  acquireRefreshOwnership() {
+    if (!this.enabled) {
+      return true;
+    }
+    try {
+      const owner = JSON.parse(localStorage.getItem(this.refreshOwnerKey));
+      if (owner && owner.tabId !== this.tabId && owner.expiresAt > Date.now()) {
+        return false;
+      }
+      this.takeLease();
+      const newOwner = JSON.parse(localStorage.getItem(this.refreshOwnerKey));
+      if (!newOwner || newOwner.tabId !== this.tabId) {
+        windowInteraction.clearTimeout(this.leaseHandle);
+        this.leaseHandle = null;
+        return false;
+      }
+    } catch (error) {
+      this.logger.log({ title: 'Failed to acquire token refresh ownership', error: error });
+    }
+    return true;
+  }
+
+  /**
+   * @description Write the lease of this tab and schedule its extension
+   * @return {*|void}
+   */
+  takeLease() {
+    localStorage.setItem(this.refreshOwnerKey, JSON.stringify({ tabId: this.tabId, expiresAt: Date.now() + leaseDurationMs }));
+    if (this.leaseHandle) {
+      windowInteraction.clearTimeout(this.leaseHandle);
+    }
+    this.leaseHandle = windowInteraction.setTimeout(() => this.renewLease(), leaseDurationMs / 2);
+  }
+
+  /**
+   * @description Extend the lease of this tab, unless another tab took it over in the meantime, i.e. while the timers of this tab
+   * were throttled in the background; two tabs refreshing would trigger the reuse detection of rotating refresh tokens
+   * @return {*|void}
+   */
+  renewLease() {
+    this.leaseHandle = null;
+    try {
+      const owner = JSON.parse(localStorage.getItem(this.refreshOwnerKey));
+      if (owner && owner.tabId !== this.tabId) {
+        this.logger.log({ title: 'Token refresh ownership was taken over by another tab', level: 'debug' });
+        return;
+      }
+      this.takeLease();
+    } catch (error) {
+      this.logger.log({ title: 'Failed to renew token refresh ownership', error: error });
+    }
+  }
+
+  /**
+   * @description Give up the token refresh, if this tab owns it, and let the other tabs know
+   * @return {*|void}
+   */
+  releaseRefreshOwnership() {
+    if (this.leaseHandle) {
+      windowInteraction.clearTimeout(this.leaseHandle);
+      this.leaseHandle = null;
+    }
+    if (!this.enabled) {
+      return;
+    }
+    try {
+      const owner = JSON.parse(localStorage.getItem(this.refreshOwnerKey));
+      if (owner && owner.tabId === this.tabId) {
+        localStorage.removeItem(this.refreshOwnerKey);
+        this.publish('refreshOwnerReleased');
+      }
+    } catch (error) {
+      this.logger.log({ title: 'Failed to release token refresh ownership', error: error });
+    }
+  }
+
+  /**
+   * @description the time after which a lease of a tab which was closed without releasing it is taken over
+   * @return {number}
+   */
+  static get leaseDuration() {
+    return leaseDurationMs;
+  }
+}
@@ -0,0 +1,70 @@
+// Type definitions of the `auth0-sso-login/testing` entry point
+import Auth from './auth0-sso-login';
+
+export type Scenario = 'loginRequired' | 'timeout' | 'unverifiedEmail';
+
+export interface FakeTenantOptions {
+  domain?: string;
+  clientId?: string;
+  audience?: string;
+  claims?: { [claim: string]: any };
+  expiresIn?: number;
+  scope?: string;
+  loggedIn?: boolean;
+}
+
+export interface IssueTokensOptions {
+  claims?: { [claim: string]: any };
+  expiresIn?: number;
+  audience?: string;
+  scope?: string;
+  nonce?: string;
+  state?: string;
+  organization?: string;
+  refreshToken?: boolean;
+}
+
+export interface FakeAuthResult {
+  idToken: string;
+  accessToken: string;
+  expiresIn: number;
+  tokenType: string;
+  scope: string;
+  state?: string;
+  refreshToken?: string;
+}
+
+export interface FakeTenantRequest {
+  type: 'checkSession' | 'authorize' | 'oauthToken' | 'userInfo' | 'jwks' | 'logout';
+  options?: { [option: string]: any };
+  url?: string;
+}
+
+export class FakeTenant {
+  constructor(options?: FakeTenantOptions);
+  domain: string;
+  clientId: string;
+  audience: string;
+  jwksUri: string;
+  keyId: string;
+  claims: { [claim: string]: any };
+  loggedIn: boolean;
+  getConfig<T extends object>(overrides?: T): { clientId: string; domain: string; audience: string } & T;
+  login(claims?: { [claim: string]: any }): this;
+  logout(): this;
+  simulate(scenario: Scenario, options?: { times?: number }): this;
+  issueTokens(options?: IssueTokensOptions): FakeAuthResult;
+  getJwks(): { keys: Array<{ [parameter: string]: any }> };
+  install(auth: Auth): this;
+  uninstall(): void;
+  getRequests(type?: FakeTenantRequest['type']): FakeTenantRequest[];
+}
+
+export class FakeClock {
+  constructor(now?: number);
+  now: number;
+  install(): this;
+  uninstall(): void;
+  tick(ms: number): Promise<void>;
+  tickToTokenRefresh(auth: Auth): Promise<void>;
+}
@@ -0,0 +1,3 @@
+// the `auth0-sso-login/testing` entry point, to test applications using the library without auth0 and without network access
+export { default as FakeTenant } from './fakeTenant';
+export { default as FakeClock } from './fakeClock';
@@ -1,33 +1,133 @@
 import { v4 } from 'uuid';
+import jwtManager from 'jsonwebtoken';
 import windowInteraction from './window-interaction';
 
+// seconds `expiresIn` may differ from the lifetime of a token which was just issued
+const freshTokenTolerance = 5;
+
+// events after which timers may have fired late or not at all, i.e. after the device woke from sleep or a background tab was throttled
+const wakeEvents = [{ target: () => document, name: 'visibilitychange' }, { target: () => window, name: 'focus' }, { target: () => window, name: 'online' }];
+
+function decodeToken(token) {
+  return token ? jwtManager.decode(token) : null;
+}
+
 export default class tokenExpiryManager {
-  constructor() {
+  /**
+   * @constructor
+   * @param {Object} [options]
+   * @param {number} [options.refreshAhead] seconds before the expiry of the token to refresh it, by default after 2/3 of its lifetime
+   */
+  constructor(options) {
+    this.options = options || {};
     this.tokenExpiresAt = null;
     this.tokenRefreshHandle = null;
+    this.refreshFunction = null;
+    this.clockSkew = 0;
     this.sessionId = null;
+    this.wakeListener = () => this.checkTokenRefresh();
+    this.listening = false;
   }
 
   getRemainingMillisToTokenExpiry() {
     return this.tokenExpiresAt ? this.tokenExpiresAt - Date.now() : 0;
   }
 
+  /**
+   * @description Estimate the difference between the server clock and the client clock from the `iat` of a JWT access token,
+   * if it was just issued, which is the case when `expiresIn` is its full lifetime, and not i.e. restored from the storage
+   * @param {Object} authResult authorization result returned by auth0
+   * @param {number} now the current client time
+   * @return {number} milliseconds the server clock is ahead of the client clock
+   */
+  updateClockSkew(authResult, now) {
+    const payload = decodeToken(authResult.accessToken);
+    if (payload && payload.iat && payload.exp && Math.abs(payload.exp - payload.iat - authResult.expiresIn) <= freshTokenTolerance) {
+      this.clockSkew = payload.iat * 1000 - now;
+    }
+    return this.clockSkew;
+  }
+
+  /**
+   * @description Get the time, in client time, at which the access token expires. The `exp` of a JWT access token is converted
+   * with the estimated clock skew, the earlier of it and `expiresIn` is used.
+   * @param {Object} authResult authorization result returned by auth0
+   * @param {number} now the current client time
+   * @return {number}
+   */
+  getTokenExpiry(authResult, now) {
+    const expiresAt = now + authResult.expiresIn * 1000;
+    const payload = decodeToken(authResult.accessToken);
+    return payload && payload.exp ? Math.min(expiresAt, payload.exp * 1000 - this.clockSkew) : expiresAt;
+  }
+
   scheduleTokenRefresh(authResult, refreshFunction) {
-    const expiresInMs = authResult.expiresIn * 1000;
-    const remainingMs = (expiresInMs / 3) * 2;
+    const now = Date.now();
+    this.updateClockSkew(authResult, now);
+    const expiresAt = this.getTokenExpiry(authResult, now);
+    const refreshAheadMs = this.options.refreshAhead === undefined ? (expiresAt - now) / 3 : this.options.refreshAhead * 1000;
+    const remainingMs = Math.max(0, expiresAt - now - refreshAheadMs);
+
+    this.tokenExpiresAt = remainingMs + now;
+    this.setRefreshTimer(refreshFunction, remainingMs);
+  }
 
-    this.tokenExpiresAt = remainingMs + Date.now();
+  postponeTokenRefresh(refreshFunction, delayMs) {
+    this.setRefreshTimer(refreshFunction, delayMs);
+  }
 
+  setRefreshTimer(refreshFunction, delayMs) {
     if (this.tokenRefreshHandle) {
       windowInteraction.clearTimeout(this.tokenRefreshHandle);
     }
 
-    this.tokenRefreshHandle = windowInteraction.setTimeout(refreshFunction, remainingMs);
+    this.refreshFunction = refreshFunction;
+    this.tokenRefreshHandle = windowInteraction.setTimeout(() => this.runTokenRefresh(), delayMs);
+    this.listenForWakeEvents(true);
+  }
+
+  runTokenRefresh() {
+    const refreshFunction = this.refreshFunction;
+    this.tokenRefreshHandle = null;
+    this.refreshFunction = null;
+    if (refreshFunction) {
+      refreshFunction();
+    }
+  }
+
+  /**
+   * @description Refresh the token at once if the refresh is due but the timer didn't fire, i.e. because the device was asleep.
+   * Called when the page becomes visible, gets the focus or comes back online.
+   * @return {*|void}
+   */
+  checkTokenRefresh() {
+    if (document.visibilityState === 'hidden' || !this.refreshFunction || this.getRemainingMillisToTokenExpiry() > 0) {
+      return;
+    }
+    windowInteraction.clearTimeout(this.tokenRefreshHandle);
+    this.runTokenRefresh();
+  }
+
+  listenForWakeEvents(listen) {
+    if (this.listening === listen) {
+      return;
+    }
+    this.listening = listen;
+    wakeEvents.forEach(wakeEvent => {
+      const target = wakeEvent.target();
+      if (listen) {
+        target.addEventListener(wakeEvent.name, this.wakeListener);
+      } else {
+        target.removeEventListener(wakeEvent.name, this.wakeListener);
+      }
+    });
   }
 
   cancelTokenRefresh() {
     this.sessionId = null;
     this.tokenExpiresAt = null;
+    this.refreshFunction = null;
+    this.listenForWakeEvents(false);
 
     if (this.tokenRefreshHandle) {
       windowInteraction.clearTimeout(this.tokenRefreshHandle);
@@ -39,6 +139,19 @@ export default class tokenExpiryManager {
     this.sessionId = v4();
   }
 
+  restoreSession(sessionId, clockSkew) {
+    this.sessionId = sessionId || null;
+    this.clockSkew = clockSkew || 0;
+  }
+
+  /**
+   * @description Get the current time of the server clock, estimated with the clock skew
+   * @return {number} milliseconds
+   */
+  getServerTime() {
+    return Date.now() + this.clockSkew;
+  }
+
   authorizationSessionExists() {
     return !!this.sessionId;
   }
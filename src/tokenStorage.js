@@ -0,0 +1,117 @@
+import StorageNamespace from './storageNamespace';
+
+class MemoryStorage {
+  constructor() {
+    this.items = {};
+  }
+
+  getItem(key) {
+    return Object.prototype.hasOwnProperty.call(this.items, key) ? this.items[key] : null;
+  }
+
+  setItem(key, value) {
+    this.items[key] = value;
+  }
+
+  removeItem(key) {
+    delete this.items[key];
+  }
+}
+
+// the browser storage is looked up on every access, as it can throw when it is disabled
+function webStorage(getStorage) {
+  return {
+    getItem: key => getStorage().getItem(key),
+    setItem: (key, value) => getStorage().setItem(key, value),
+    removeItem: key => getStorage().removeItem(key)
+  };
+}
+
+export default class TokenStorage {
+  /**
+   * @constructor create a storage for the login session
+   * @param {string|Object} [storage=memory] `memory`, `sessionStorage`, `localStorage`, or a custom adapter implementing
+   * `getItem(key)`, `setItem(key, value)` and `removeItem(key)` with string values, like the Web Storage API
+   * @param {Object} logger
+   * @param {StorageNamespace} [storageNamespace] the namespace of the stored session
+   */
+  constructor(storage, logger, storageNamespace = new StorageNamespace()) {
+    this.logger = logger;
+    this.sessionKey = storageNamespace.key('session');
+    this.adapter = TokenStorage.createAdapter(storage || 'memory');
+  }
+
+  /**
+   * @description Get the storage adapter for a storage option
+   * @param {string|Object} storage the storage option
+   * @return {Object} the storage adapter
+   */
+  static createAdapter(storage) {
+    if (typeof storage === 'object') {
+      if (['getItem', 'setItem', 'removeItem'].some(method => typeof storage[method] !== 'function')) {
+        throw Error('A custom storage must implement getItem(key), setItem(key, value) and removeItem(key).');
+      }
+      return storage;
+    }
+    switch (storage) {
+      case 'memory':
+        return new MemoryStorage();
+      case 'sessionStorage':
+        return webStorage(() => sessionStorage);
+      case 'localStorage':
+        return webStorage(() => localStorage);
+      default:
+        throw Error(`Unknown storage '${storage}', use 'memory', 'sessionStorage', 'localStorage' or a custom storage.`);
+    }
+  }
+
+  /**
+   * @description Load the stored session, a session with an expired token is removed
+   * @return {null|Object} the `authResult`, `expiresAt`, `sessionId` and `clockSkew` if a valid session was stored; null otherwise
+   */
+  load() {
+    try {
+      const session = JSON.parse(this.adapter.getItem(this.sessionKey));
+      if (!session || !session.authResult) {
+        return null;
+      }
+      if (!(session.expiresAt > Date.now())) {
+        this.logger.log({ title: 'Removing stored session with expired token' });
+        this.clear();
+        return null;
+      }
+      return session;
+    } catch (error) {
+      this.logger.log({ title: 'Failed to load session from storage', error: error });
+    }
+    return null;
+  }
+
+  /**
+   * @description Store the session
+   * @param {Object} authResult authorization result returned by auth0
+   * @param {number} expiresAt time in milliseconds at which the token expires
+   * @param {null|string} sessionId the authorization session
+   * @param {number} [clockSkew=0] milliseconds the server clock is ahead of the client clock, which can't be estimated from a restored token
+   * @return {*|void}
+   */
+  save(authResult, expiresAt, sessionId, clockSkew = 0) {
+    try {
+      this.adapter.setItem(this.sessionKey, JSON.stringify({ authResult, expiresAt, sessionId, clockSkew }));
+    } catch (error) {
+      this.logger.log({ title: 'Failed to save session in storage', error: error });
+    }
+  }
+
+  /**
+   * @description Remove the stored session
+   * @return {*|void}
+   */
+  clear() {
+    try {
+      this.adapter.removeItem(this.sessionKey);
+    } catch (error) {
+      this.logger.log({ title: 'Failed to remove session from storage', error: error });
+    }
+  }
+}
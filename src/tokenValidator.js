@@ -0,0 +1,178 @@
+import windowInteraction from './window-interaction';
+import Auth0ClientProvider from './auth0ClientProvider';
+
+const signatureAlgorithm = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), character => character.charCodeAt(0));
+}
+
+function decodeJson(value) {
+  return JSON.parse(new TextDecoder().decode(base64UrlDecode(value)));
+}
+
+function validationError(errorDescription) {
+  return { error: 'invalid_token', errorCode: 'TokenValidationFailed', errorDescription };
+}
+
+export default class TokenValidator {
+  /**
+   * @constructor create a validator for the tokens issued by the auth0 tenant
+   * @param {Object} config
+   * @param {string} config.clientId the auth0 client ID, the audience of ID tokens
+   * @param {string} config.domain the auth0 domain, the issuer of the tokens
+   * @param {Array<string>} [config.domains] further domains of the tenant, i.e. a custom domain, which are accepted as issuer as well
+   * @param {string} [config.jwksUri] where the signing keys of the tenant are published, by default the JWKS of the domain the login uses
+   * @param {number} [config.clockSkew=60] tolerated difference in seconds between the client clock and auth0 for `exp`, `nbf` and `iat`
+   * @param {Auth0ClientProvider} [auth0ClientProvider] provides the domain the login uses, which is picked from the `domains`
+   */
+  constructor(config, auth0ClientProvider = new Auth0ClientProvider(config)) {
+    this.config = config;
+    this.auth0ClientProvider = auth0ClientProvider;
+    this.signingKeysPromise = null;
+  }
+
+  /**
+   * @description Get the signing keys of the tenant, they are fetched once and again when a token is signed with an unknown key
+   * @param {boolean} refresh fetch the keys even if they were fetched before
+   * @return {Promise<Array<Object>>} the JSON web keys
+   */
+  getSigningKeys(refresh) {
+    if (!this.signingKeysPromise || refresh) {
+      const jwksUri = this.config.jwksUri || `https://${this.auth0ClientProvider.getDomain()}/.well-known/jwks.json`;
+      this.signingKeysPromise = windowInteraction.fetch(jwksUri)
+      .then(response => response.json())
+      .then(jwks => jwks.keys || []);
+      this.signingKeysPromise.catch(() => {
+        this.signingKeysPromise = null;
+      });
+    }
+    return this.signingKeysPromise;
+  }
+
+  /**
+   * @description Get the signing key for a key id, for the case that the tenant keys were rotated the keys are fetched again if it is unknown
+   * @param {string} kid the key id of the token header
+   * @return {Promise<CryptoKey>} the public key
+   */
+  async getSigningKey(kid) {
+    const findKey = keys => keys.find(key => key.kid === kid && key.kty === 'RSA' && (!key.use || key.use === 'sig'));
+    let jwk = findKey(await this.getSigningKeys(false));
+    if (!jwk) {
+      jwk = findKey(await this.getSigningKeys(true));
+    }
+    if (!jwk) {
+      throw validationError(`No signing key found for key id '${kid}'.`);
+    }
+    return crypto.subtle.importKey('jwk', { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: 'RS256', ext: true }, signatureAlgorithm, false, ['verify']);
+  }
+
+  /**
+   * @description Validate the RS256 signature and the claims of a token
+   * @param {string} token the JWT to validate
+   * @param {Object} expected the expected claims
+   * @param {string} expected.audience the audience the token must be issued for
+   * @param {string} [expected.nonce] the nonce sent with the authorization request, not validated if not available
+   * @return {Promise<Object>} resolved promise with the token payload; rejected promise with a `TokenValidationFailed` error
+   */
+  async validate(token, { audience, nonce }) {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) {
+      throw validationError('Token is not a JWT.');
+    }
+
+    let header;
+    let payload;
+    try {
+      header = decodeJson(parts[0]);
+      payload = decodeJson(parts[1]);
+    } catch (error) {
+      throw validationError('Token could not be decoded.');
+    }
+
+    if (header.alg !== 'RS256') {
+      throw validationError(`Token algorithm '${header.alg}' is not RS256.`);
+    }
+    const signingKey = await this.getSigningKey(header.kid);
+    const signedContent = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+    if (!await crypto.subtle.verify(signatureAlgorithm, signingKey, base64UrlDecode(parts[2]), signedContent)) {
+      throw validationError('Token signature is invalid.');
+    }
+
+    this.validateClaims(payload, { audience, nonce });
+    return payload;
+  }
+
+  /**
+   * @description Validate the issuer, audience, authorized party, nonce and lifetime claims
+   * @param {Object} payload the token payload
+   * @param {Object} expected the expected claims, see `validate`
+   * @return {*|void}
+   */
+  validateClaims(payload, { audience, nonce }) {
+    // the tenant issues tokens under the domain they are requested from, i.e. a custom domain
+    const issuers = [this.config.domain].concat(this.config.domains || []).map(domain => `https://${domain}/`);
+    if (!issuers.includes(payload.iss)) {
+      throw validationError(`Issuer '${payload.iss}' does not match '${issuers.join(' ')}'.`);
+    }
+
+    const audiences = [].concat(payload.aud || []);
+    if (!audiences.includes(audience)) {
+      throw validationError(`Audience '${audiences.join(' ')}' does not include '${audience}'.`);
+    }
+    if ((audiences.length > 1 || payload.azp) && payload.azp !== this.config.clientId) {
+      throw validationError(`Authorized party '${payload.azp}' does not match '${this.config.clientId}'.`);
+    }
+
+    if (nonce && payload.nonce !== nonce) {
+      throw validationError('Nonce does not match the one of the authorization request.');
+    }
+
+    const clockSkew = this.config.clockSkew === undefined ? 60 : this.config.clockSkew;
+    const now = Math.floor(Date.now() / 1000);
+    if (!(payload.exp + clockSkew > now)) {
+      throw validationError('Token is expired.');
+    }
+    if (payload.nbf && payload.nbf - clockSkew > now) {
+      throw validationError('Token is not valid yet.');
+    }
+    if (payload.iat && payload.iat - clockSkew > now) {
+      throw validationError('Token was issued in the future.');
+    }
+  }
+
+  /**
+   * @description Validate that a token was issued for the organization the user logged in to
+   * @param {string} token the encoded ID token
+   * @param {string} organization the expected organization ID, or name
+   * @return {*|void}
+   */
+  validateOrganization(token, organization) {
+    let payload;
+    try {
+      payload = decodeJson(token.split('.')[1]);
+    } catch (error) {
+      throw validationError('Token could not be decoded.');
+    }
+    if (!TokenValidator.matchesOrganization(payload, organization)) {
+      throw validationError(`Organization '${payload.org_id || payload.org_name}' does not match '${organization}'.`);
+    }
+  }
+
+  /**
+   * @description Check the organization of token claims, an organization ID is compared with the `org_id` claim and a name with the `org_name` claim
+   * @param {null|Object} claims the token payload
+   * @param {string} [organization] the expected organization, any token matches when none is expected
+   * @return {boolean}
+   */
+  static matchesOrganization(claims, organization) {
+    if (!organization) {
+      return true;
+    }
+    if (!claims) {
+      return false;
+    }
+    return organization.startsWith('org_') ? claims.org_id === organization : claims.org_name === organization.toLowerCase();
+  }
+}
@@ -4,6 +4,16 @@ export default class windowInteraction {
     window.location = url;
   }
 
+  static openPopup(url, name) {
+    const left = window.screenX + ((window.innerWidth - 400) / 2);
+    const top = window.screenY + ((window.innerHeight - 600) / 2);
+    return window.open(url, name, `left=${left},top=${top},width=400,height=600,resizable,scrollbars=yes,status=1`);
+  }
+
+  static fetch(input, init) {
+    return window.fetch(input, init);
+  }
+
   static setTimeout(func, delay) {
     return window.setTimeout(func, delay);
   }
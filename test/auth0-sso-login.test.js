@@ -1,16 +1,25 @@
 /* eslint-disable no-unused-expressions */
+/* global dom */
 import { describe, it, beforeEach, afterEach } from 'mocha';
 import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
 import chai from 'chai';
-import Auth from '../src/auth0-sso-login';
+import Auth, { LoginRequiredError, ConsentRequiredError, UnverifiedEmailError, OfflineError, InsufficientScopeError, DomainUnreachableError, ConfigurationError, BrowserRequiredError, InMemoryReporter } from '../src/auth0-sso-login';
+import jwtManager from 'jsonwebtoken';
 import windowInteraction from '../src/window-interaction';
+import NetworkStatus from '../src/networkStatus';
+import Environment from '../src/environment';
 import 'url-polyfill';
 
 import Auth0ClientProvider from '../src/auth0ClientProvider';
 
 const expect = chai.expect;
 chai.use(sinonChai);
+const testConfig = { clientId: 'unit-test-client', domain: 'unit-test.auth0.com', audience: 'https://unit-test.api' };
+
+function createAuth(config) {
+  return new Auth(Object.assign({}, testConfig, config));
+}
 
 let sandbox;
 beforeEach(() => {
@@ -19,6 +28,11 @@ beforeEach(() => {
 afterEach(() => sandbox.restore());
 
 describe('auth0-sso-login.js', () => {
+  it('rejects an invalid configuration at construction', () => {
+    expect(() => new Auth()).to.throw(ConfigurationError, '\'domain\' is required');
+    expect(() => createAuth({ hooks: { tokenRefresh() {} } })).to.throw(ConfigurationError, '\'hooks.tokenRefresh\' is not a supported hook');
+  });
+
   describe('when notifying hooks', () => {
     describe('for logging', () => {
       it('logs to provided log function', () => {
@@ -26,7 +40,7 @@ describe('auth0-sso-login.js', () => {
         const mock = sandbox.mock(logObj);
         const logMsg = 'unit-test-log-message';
         mock.expects('log').withExactArgs(logMsg).once().resolves();
-        const auth = new Auth({ hooks: { log: logObj.log } });
+        const auth = createAuth({ hooks: { log: logObj.log } });
         auth.logger.log(logMsg);
         mock.verify();
       });
@@ -35,10 +49,23 @@ describe('auth0-sso-login.js', () => {
         const mock = sandbox.mock(console);
         const logMsg = 'unit-test-log-message';
         mock.expects('log').withExactArgs(logMsg).once().resolves();
-        const auth = new Auth();
+        const auth = createAuth();
         auth.logger.log(logMsg);
         mock.verify();
       });
+
+      it('logs the messages of a login attempt with its correlation id', async () => {
+        const log = sandbox.stub();
+        const auth = createAuth({ hooks: { log } });
+        sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+        sandbox.stub(auth, 'renewAuth').rejects({ error: 'login_required' });
+        sandbox.stub(auth, 'universalAuth').resolves();
+
+        await auth.ensureLoggedIn({ enabledHostedLogin: true });
+        const correlationIds = log.args.map(args => args[0].correlationId);
+        expect(correlationIds).to.not.be.empty;
+        correlationIds.forEach(correlationId => expect(correlationId).to.equal(auth.logger.correlationId).and.not.be.null);
+      });
     });
 
     describe('for profile refresh', () => {
@@ -47,7 +74,7 @@ describe('auth0-sso-login.js', () => {
         const mock = sandbox.mock(hook);
         const profile = { unitTestProfile: 'unit-test-log-message' };
         mock.expects('profileRefreshed').withExactArgs(profile).once().resolves();
-        const auth = new Auth({ hooks: { profileRefreshed: hook.profileRefreshed } });
+        const auth = createAuth({ hooks: { profileRefreshed: hook.profileRefreshed } });
         const mockAuthed = sandbox.mock(auth);
         mockAuthed.expects('getProfile').resolves(profile);
         return auth.refreshProfile(profile)
@@ -58,7 +85,7 @@ describe('auth0-sso-login.js', () => {
 
       it('does not fail when no hook provided', () => {
         const profile = { unitTestProfile: 'unit-test-profile' };
-        const auth = new Auth();
+        const auth = createAuth();
 
         // return promise, to ensure it didn't fail
         return auth.refreshProfile(profile);
@@ -74,7 +101,7 @@ describe('auth0-sso-login.js', () => {
         const tokenExpiryManager = { scheduleTokenRefresh() {} };
         const tokenExpiryManagerMock = sandbox.mock(tokenExpiryManager);
         tokenExpiryManagerMock.expects('scheduleTokenRefresh').withExactArgs(authResult, sinon.match.func);
-        const auth = new Auth({ hooks: { tokenRefreshed: hook.tokenRefreshed } });
+        const auth = createAuth({ hooks: { tokenRefreshed: hook.tokenRefreshed } });
         auth.tokenExpiryManager = tokenExpiryManager;
         return auth.tokenRefreshed(authResult)
         .then(() => {
@@ -88,7 +115,7 @@ describe('auth0-sso-login.js', () => {
         const tokenExpiryManager = { scheduleTokenRefresh() {} };
         const tokenExpiryManagerMock = sandbox.mock(tokenExpiryManager);
         tokenExpiryManagerMock.expects('scheduleTokenRefresh').withExactArgs(authResult, sinon.match.func);
-        const auth = new Auth();
+        const auth = createAuth();
         auth.tokenExpiryManager = tokenExpiryManager;
 
         // return promise, to ensure it didn't fail
@@ -97,6 +124,170 @@ describe('auth0-sso-login.js', () => {
       });
     });
 
+    describe('for events', () => {
+      it('notifies every listener and the hook of a refreshed token', () => {
+        sandbox.stub(windowInteraction, 'setTimeout');
+        const hook = sandbox.stub();
+        const listeners = [sandbox.stub(), sandbox.stub()];
+        const authResult = { accessToken: 'unit-test-token', expiresIn: 3600 };
+        const auth = createAuth({ hooks: { tokenRefreshed: hook } });
+        listeners.forEach(listener => auth.on('tokenRefreshed', listener));
+
+        return auth.tokenRefreshed(authResult)
+        .then(() => {
+          expect(hook.calledOnceWithExactly()).to.be.true;
+          listeners.forEach(listener => expect(listener.calledOnceWithExactly(authResult)).to.be.true);
+        });
+      });
+
+      it('notifies listeners of a logout with the redirect', () => {
+        sandbox.stub(windowInteraction, 'updateWindow');
+        const listener = sandbox.stub();
+        const auth = createAuth({ domain: 'unit-test.auth0.com' });
+        auth.on('loggedOut', listener);
+
+        auth.logout('https://unit-test.com/logged-out');
+        expect(listener.calledOnceWithExactly('https://unit-test.com/logged-out')).to.be.true;
+      });
+
+      it('notifies listeners of a failed renewal', () => {
+        const listener = sandbox.stub();
+        const error = { error: 'login_required' };
+        const auth = createAuth({ hooks: { log() {} } });
+        sandbox.stub(auth, 'renewWithSession').rejects(error);
+        auth.on('renewFailed', listener);
+
+        return auth.renewAuth()
+        .then(() => {
+          throw Error('renewAuth should have been rejected');
+        }, () => {
+          expect(listener.calledOnceWithExactly(error, 0, null)).to.be.true;
+        });
+      });
+    });
+
+    describe('for scheduled token refresh', () => {
+      it('refreshes the token when this tab owns the refresh', () => {
+        const auth = createAuth();
+        sandbox.stub(auth.tabSynchronizer, 'acquireRefreshOwnership').returns(true);
+        const authMock = sandbox.mock(auth);
+        authMock.expects('ensureLoggedIn').withExactArgs({ enabledHostedLogin: true, forceTokenRefresh: true }).once().resolves();
+
+        return auth.scheduledTokenRefresh()
+        .then(() => authMock.verify());
+      });
+
+      it('postpones the refresh when another tab owns it', () => {
+        const auth = createAuth();
+        sandbox.stub(auth.tabSynchronizer, 'acquireRefreshOwnership').returns(false);
+        const tokenExpiryManagerMock = sandbox.mock(auth.tokenExpiryManager);
+        tokenExpiryManagerMock.expects('postponeTokenRefresh').withExactArgs(sinon.match.func, sinon.match.number).once();
+        sandbox.mock(auth).expects('ensureLoggedIn').never();
+
+        return auth.scheduledTokenRefresh()
+        .then(() => tokenExpiryManagerMock.verify());
+      });
+
+      it('keeps the login and tries again when no domain responds', async () => {
+        sandbox.stub(windowInteraction, 'fetch').rejects(new TypeError('Failed to fetch'));
+        sandbox.stub(windowInteraction, 'setTimeout');
+        sandbox.stub(windowInteraction, 'clearTimeout');
+        const authResult = { accessToken: 'unit-test-access-token', idToken: 'unit-test-id-token', expiresIn: 3600 };
+        const auth = createAuth({ domains: ['login.unit-test.com', 'unit-test.auth0.com'], hooks: { log() {} } });
+        auth.authResult = authResult;
+        const sessionExpired = sandbox.stub();
+        auth.on('sessionExpired', sessionExpired);
+        const postponeStub = sandbox.stub(auth.tokenExpiryManager, 'postponeTokenRefresh');
+
+        await auth.scheduledTokenRefresh();
+        expect(postponeStub).to.have.been.calledOnceWith(sinon.match.func, 30000);
+        expect(auth.authResult).to.equal(authResult);
+        expect(sessionExpired.called).to.be.false;
+      });
+
+      it('logs a failed refresh instead of rejecting', async () => {
+        const log = sandbox.stub();
+        const auth = createAuth({ hooks: { log } });
+        sandbox.stub(auth, 'ensureLoggedIn').rejects(new LoginRequiredError('Login required'));
+        const postponeStub = sandbox.stub(auth.tokenExpiryManager, 'postponeTokenRefresh');
+
+        await auth.scheduledTokenRefresh();
+        expect(log).to.have.been.calledWithMatch({ errorCode: 'ScheduledRefreshFailed' });
+        expect(postponeStub.called).to.be.false;
+      });
+    });
+
+    describe('for idle timeout', () => {
+      const authResult = { idToken: 'unit-test-id-token', accessToken: 'unit-test-access-token', expiresIn: 3600 };
+      let clock;
+
+      beforeEach(() => {
+        sandbox.stub(windowInteraction, 'setTimeout');
+        sandbox.stub(windowInteraction, 'clearTimeout');
+        clock = sandbox.stub(Date, 'now').returns(100000);
+      });
+
+      it('warns the idle user and logs out at the deadline', async () => {
+        const listener = sandbox.stub();
+        const auth = createAuth({ idleTimeout: 600000, hooks: { log() {} } });
+        const logoutStub = sandbox.stub(auth, 'logout');
+        auth.on('idleWarning', listener);
+        await auth.tokenRefreshed(authResult);
+
+        clock.returns(640000);
+        windowInteraction.setTimeout.args.find(args => args[1] === 540000)[0]();
+        expect(listener.calledOnceWithExactly(60000, sinon.match.func)).to.be.true;
+
+        clock.returns(700000);
+        windowInteraction.setTimeout.lastCall.args[0]();
+        expect(logoutStub.calledOnce).to.be.true;
+        auth.removeLogin();
+      });
+
+      it('defers the token refresh while the user is idle until the session is extended', async () => {
+        const auth = createAuth({ idleTimeout: 600000, hooks: { log() {} } });
+        const authMock = sandbox.mock(auth);
+        authMock.expects('ensureLoggedIn').withExactArgs({ enabledHostedLogin: true, forceTokenRefresh: true }).once().resolves();
+        let extend;
+        auth.on('idleWarning', (remainingMs, extendSession) => {
+          extend = extendSession;
+        });
+        auth.idleTracker.start();
+        clock.returns(640000);
+        windowInteraction.setTimeout.lastCall.args[0]();
+
+        await auth.scheduledTokenRefresh();
+        expect(auth.refreshDeferred).to.be.true;
+
+        extend();
+        await new Promise(resolve => setImmediate(resolve));
+        authMock.verify();
+        auth.idleTracker.stop();
+      });
+
+      it('does not log out while the user is active in another tab', () => {
+        const activeTab = createAuth({ idleTimeout: 600000, hooks: { log() {} } });
+        const idleTab = createAuth({ idleTimeout: 600000, hooks: { log() {} } });
+        const listener = sandbox.stub();
+        const logoutStub = sandbox.stub(idleTab, 'logout');
+        idleTab.on('idleWarning', listener);
+        activeTab.idleTracker.start();
+        idleTab.idleTracker.start();
+
+        clock.returns(500000);
+        activeTab.idleTracker.recordActivity();
+        clock.returns(700000);
+        windowInteraction.setTimeout.lastCall.args[0]();
+        expect(listener.called).to.be.false;
+        expect(logoutStub.called).to.be.false;
+
+        clock.returns(1100000);
+        idleTab.idleTracker.check();
+        expect(logoutStub.calledOnce).to.be.true;
+        activeTab.idleTracker.stop();
+      });
+    });
+
     describe('for logout', () => {
       it('invokes hook', () => {
         const logoutHook = sandbox.stub();
@@ -107,7 +298,7 @@ describe('auth0-sso-login.js', () => {
         const windowInteractionMock = sandbox.mock(windowInteraction);
         windowInteractionMock.expects('updateWindow').once();
 
-        const auth = new Auth({ hooks: { logout: logoutHook, removeLogin: removeLoginHook } });
+        const auth = createAuth({ hooks: { logout: logoutHook, removeLogin: removeLoginHook } });
         auth.tokenExpiryManager = tokenExpiryManager;
         auth.authResult = { testResult: 'unit-test-result' };
 
@@ -126,7 +317,7 @@ describe('auth0-sso-login.js', () => {
         const windowInteractionMock = sandbox.mock(windowInteraction);
         windowInteractionMock.expects('updateWindow').once();
 
-        const auth = new Auth();
+        const auth = createAuth();
         auth.tokenExpiryManager = tokenExpiryManager;
         auth.authResult = { testResult: 'unit-test-result' };
 
@@ -146,7 +337,7 @@ describe('auth0-sso-login.js', () => {
         const tokenExpiryManagerMock = sandbox.mock(tokenExpiryManager);
         tokenExpiryManagerMock.expects('cancelTokenRefresh').once();
 
-        const auth = new Auth({ hooks: { removeLogin: hook.removeLogin } });
+        const auth = createAuth({ hooks: { removeLogin: hook.removeLogin } });
         auth.tokenExpiryManager = tokenExpiryManager;
         auth.authResult = { testResult: 'unit-test-result' };
 
@@ -160,7 +351,7 @@ describe('auth0-sso-login.js', () => {
         const tokenExpiryManager = { cancelTokenRefresh() {} };
         const tokenExpiryManagerMock = sandbox.mock(tokenExpiryManager);
         tokenExpiryManagerMock.expects('cancelTokenRefresh').once();
-        const auth = new Auth();
+        const auth = createAuth();
         auth.tokenExpiryManager = tokenExpiryManager;
         auth.authResult = { testResult: 'unit-test-result' };
 
@@ -168,6 +359,728 @@ describe('auth0-sso-login.js', () => {
         expect(auth.getIdToken()).to.be.null;
         tokenExpiryManagerMock.verify();
       });
+
+      it('removes the cached profile', () => {
+        const auth = createAuth();
+        auth.profileManager.cacheProfile('unit-test-sub', { name: 'unit-test-name' });
+
+        auth.removeLogin();
+        expect(auth.profileManager.cache).to.be.null;
+      });
+    });
+  });
+
+  describe('when restoring a stored session', () => {
+    afterEach(() => localStorage.clear());
+
+    it('restores the login and restarts the token refresh', () => {
+      const setTimeoutStub = sandbox.stub(windowInteraction, 'setTimeout').returns('refresh-handle');
+      const authResult = { accessToken: 'stored-access-token', expiresIn: 3600 };
+      createAuth({ storage: 'localStorage' }).tokenRefreshed(authResult, false);
+
+      const auth = createAuth({ storage: 'localStorage' });
+      expect(auth.authResult.accessToken).to.equal('stored-access-token');
+      expect(auth.tokenExpiryManager.getRemainingMillisToTokenExpiry()).to.be.above(0);
+      expect(setTimeoutStub).to.have.been.calledTwice;
+    });
+
+    it('does not restore a removed login', () => {
+      sandbox.stub(windowInteraction, 'setTimeout').returns('refresh-handle');
+      const auth = createAuth({ storage: 'localStorage' });
+      auth.tokenRefreshed({ accessToken: 'stored-access-token', expiresIn: 3600 }, false);
+      auth.removeLogin();
+
+      expect(createAuth({ storage: 'localStorage' }).authResult).to.be.null;
+    });
+
+    it('keeps the token valid with a client clock ahead of the server, also once restored', () => {
+      sandbox.stub(windowInteraction, 'setTimeout').returns('refresh-handle');
+      const serverTime = Math.floor(Date.now() / 1000);
+      const accessToken = jwtManager.sign({ iat: serverTime, exp: serverTime + 3600 }, 'secret');
+      sandbox.stub(Date, 'now').returns((serverTime + 7200) * 1000);
+
+      const auth = createAuth({ storage: 'localStorage' });
+      auth.tokenRefreshed({ accessToken, expiresIn: 3600 }, false);
+      expect(auth.getIdToken()).to.equal(accessToken);
+
+      const restoredAuth = createAuth({ storage: 'localStorage' });
+      expect(restoredAuth.tokenExpiryManager.clockSkew).to.equal(-7200000);
+      expect(restoredAuth.getIdToken()).to.equal(accessToken);
+    });
+  });
+
+  describe('parseAuthResponse()', () => {
+    afterEach(() => dom.reconfigure({ url: 'https://unit-test.com/' }));
+
+    it('exchanges the authorization code with the code verifier when using PKCE', async () => {
+      dom.reconfigure({ url: 'https://unit-test.com/?code=unit-test-code&state=unit-test-state' });
+      const authResult = { idToken: 'unit-test-id-token', accessToken: 'unit-test-access-token' };
+      const auth0Client = { client: { oauthToken() {} } };
+      const oauthTokenMock = sandbox.mock(auth0Client.client);
+      oauthTokenMock.expects('oauthToken').once()
+      .withArgs({ grantType: 'authorization_code', code: 'unit-test-code', codeVerifier: 'unit-test-verifier', redirectUri: 'https://unit-test.com/' })
+      .callsFake((_, r) => r(null, authResult));
+
+      const auth = createAuth({ flow: 'pkce', applicationRoot: '/' });
+      sandbox.stub(auth.auth0ClientProvider, 'getClient').returns(auth0Client);
+      sandbox.stub(auth.pkceHandler, 'consumeTransaction').withArgs('unit-test-state').returns({ codeVerifier: 'unit-test-verifier' });
+
+      expect(await auth.parseAuthResponse()).to.eql(Object.assign({ state: 'unit-test-state' }, authResult));
+      expect(window.location.search).to.equal('');
+      oauthTokenMock.verify();
+    });
+
+    it('leaves the query of the application alone when no login transaction exists for the state', async () => {
+      dom.reconfigure({ url: 'https://unit-test.com/?code=app-code&state=unknown-state&tab=1' });
+      const auth = createAuth({ flow: 'pkce' });
+      sandbox.mock(auth.auth0ClientProvider).expects('getClient').never();
+
+      expect(await auth.parseAuthResponse()).to.be.null;
+      expect(window.location.search).to.equal('?code=app-code&state=unknown-state&tab=1');
+    });
+
+    it('rejects with invalid_token when no code verifier exists for the state', async () => {
+      dom.reconfigure({ url: 'https://unit-test.com/?code=unit-test-code&state=unit-test-state' });
+      const auth = createAuth({ flow: 'pkce' });
+      sandbox.mock(auth.auth0ClientProvider).expects('getClient').never();
+      sandbox.stub(auth.pkceHandler, 'consumeTransaction').withArgs('unit-test-state').returns({ nonce: 'unit-test-nonce' });
+
+      try {
+        await auth.parseAuthResponse();
+        throw Error('parseAuthResponse should have been rejected');
+      } catch (error) {
+        expect(error.error).to.equal('invalid_token');
+      }
+    });
+  });
+
+  describe('getAccessToken()', () => {
+    const apiAuthResult = { accessToken: 'orders-access-token', expiresIn: 3600 };
+
+    it('shares a single request between concurrent callers and caches the token', async () => {
+      sandbox.stub(windowInteraction, 'setTimeout').returns('refresh-handle');
+      const auth = createAuth({ audience: 'https://default.api' });
+      const renewMock = sandbox.mock(auth);
+      renewMock.expects('renewWithSession').once()
+      .withExactArgs({ audience: 'https://orders.api', responseType: 'token', scope: 'read:orders' })
+      .resolves(apiAuthResult);
+
+      const tokens = await Promise.all([
+        auth.getAccessToken({ audience: 'https://orders.api', scope: 'read:orders' }),
+        auth.getAccessToken({ audience: 'https://orders.api', scope: 'read:orders' })
+      ]);
+      expect(tokens).to.deep.equal(['orders-access-token', 'orders-access-token']);
+      expect(await auth.getAccessToken({ audience: 'https://orders.api', scope: 'read:orders' })).to.equal('orders-access-token');
+      renewMock.verify();
+    });
+
+    it('schedules a separate refresh per audience', async () => {
+      const setTimeoutStub = sandbox.stub(windowInteraction, 'setTimeout').returns('refresh-handle');
+      const auth = createAuth({ audience: 'https://default.api' });
+      sandbox.stub(auth, 'renewWithSession').resolves(apiAuthResult);
+
+      await auth.getAccessToken({ audience: 'https://orders.api' });
+      await auth.getAccessToken({ audience: 'https://billing.api' });
+      expect(setTimeoutStub).to.have.been.calledTwice;
+    });
+
+    it('uses the login token for the configured audience', async () => {
+      const auth = createAuth({ audience: 'https://default.api' });
+      const authMock = sandbox.mock(auth);
+      authMock.expects('ensureLoggedIn').once().withArgs({ enabledHostedLogin: false, forceTokenRefresh: false }).resolves();
+      authMock.expects('getIdToken').once().returns('default-access-token');
+      authMock.expects('renewWithSession').never();
+
+      expect(await auth.getAccessToken()).to.equal('default-access-token');
+      authMock.verify();
+    });
+
+    it('shares a single renewal of the login between concurrent callers for the configured audience', async () => {
+      const accessToken = jwtManager.sign({ exp: Math.floor(Date.now() / 1000) + 3600 }, 'secret');
+      const auth = createAuth({ audience: 'https://default.api', hooks: { log() {} } });
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      sandbox.stub(auth, 'tokenRefreshed').resolves();
+      const checkSession = sandbox.stub().callsFake((options, callback) => callback(null, { accessToken, idToken: accessToken, expiresIn: 3600 }));
+      sandbox.stub(auth.auth0ClientProvider, 'getClient').returns({ checkSession });
+
+      const tokens = await Promise.all([auth.getAccessToken(), auth.getAccessToken(), auth.getAccessToken()]);
+      expect(tokens).to.deep.equal([accessToken, accessToken, accessToken]);
+      expect(checkSession).to.have.been.calledOnce;
+    });
+  });
+
+  describe('fetch()', () => {
+    const authorizationOf = call => call.args[1].headers.get('Authorization');
+
+    it('sends the bearer token to the own origin', async () => {
+      const fetchStub = sandbox.stub(windowInteraction, 'fetch').resolves({ status: 200 });
+      const auth = createAuth();
+      sandbox.stub(auth, 'getIdToken').returns('current-token');
+
+      const response = await auth.fetch('/api/orders', { headers: { Accept: 'application/json' } });
+      expect(response.status).to.equal(200);
+      expect(authorizationOf(fetchStub.firstCall)).to.equal('Bearer current-token');
+      expect(fetchStub.firstCall.args[1].headers.get('Accept')).to.equal('application/json');
+    });
+
+    it('never sends the token to other origins', async () => {
+      const fetchStub = sandbox.stub(windowInteraction, 'fetch').resolves({ status: 200 });
+      const auth = createAuth();
+      sandbox.mock(auth).expects('getIdToken').never();
+
+      await auth.fetch('https://third-party.com/script.js', {});
+      expect(fetchStub.firstCall.args[1]).to.deep.equal({});
+    });
+
+    it('fetches a URL object and retries it on a 401', async () => {
+      const fetchStub = sandbox.stub(windowInteraction, 'fetch');
+      fetchStub.onFirstCall().resolves({ status: 401 });
+      fetchStub.onSecondCall().resolves({ status: 200 });
+      const auth = createAuth({ hooks: { log() {} } });
+      sandbox.stub(auth, 'getIdToken').returns('current-token');
+      sandbox.stub(auth, 'ensureLoggedIn').resolves();
+
+      const response = await auth.fetch(new URL('https://unit-test.com/api/orders'));
+      expect(response.status).to.equal(200);
+      expect(fetchStub.args.map(args => args[0])).to.deep.equal(['https://unit-test.com/api/orders', 'https://unit-test.com/api/orders']);
+      expect(authorizationOf(fetchStub.secondCall)).to.equal('Bearer current-token');
+
+      await auth.fetch(new URL('https://third-party.com/script.js'));
+      expect(fetchStub.thirdCall.args[1]).to.deep.equal({});
+    });
+
+    it('waits for the login when there is no token', async () => {
+      const fetchStub = sandbox.stub(windowInteraction, 'fetch').resolves({ status: 200 });
+      const auth = createAuth();
+      const getIdToken = sandbox.stub(auth, 'getIdToken').returns(null);
+      sandbox.mock(auth).expects('ensureLoggedIn').once().callsFake(() => {
+        getIdToken.returns('new-token');
+        return Promise.resolve();
+      });
+
+      await auth.fetch('https://unit-test.com/api');
+      expect(authorizationOf(fetchStub.firstCall)).to.equal('Bearer new-token');
+    });
+
+    it('refreshes the token and retries once on a 401', async () => {
+      const fetchStub = sandbox.stub(windowInteraction, 'fetch');
+      fetchStub.onFirstCall().resolves({ status: 401 });
+      fetchStub.onSecondCall().resolves({ status: 401 });
+      const auth = createAuth({ hooks: { log() {} } });
+      const getIdToken = sandbox.stub(auth, 'getIdToken').returns('expired-token');
+      sandbox.mock(auth).expects('ensureLoggedIn').once().withExactArgs({ forceTokenRefresh: true }).callsFake(() => {
+        getIdToken.returns('refreshed-token');
+        return Promise.resolve();
+      });
+
+      const response = await auth.fetch('/api');
+      expect(response.status).to.equal(401);
+      expect(fetchStub).to.have.been.calledTwice;
+      expect(authorizationOf(fetchStub.secondCall)).to.equal('Bearer refreshed-token');
+    });
+
+    it('sends the access token of the audience configured for the origin', async () => {
+      const fetchStub = sandbox.stub(windowInteraction, 'fetch').resolves({ status: 200 });
+      const auth = createAuth({ audience: 'https://default.api', authorizedOrigins: [{ origin: 'https://orders.api', audience: 'https://orders.api' }] });
+      sandbox.mock(auth).expects('getAccessToken').once()
+      .withExactArgs({ audience: 'https://orders.api', scope: undefined, forceTokenRefresh: false }).resolves('orders-token');
+
+      await auth.fetch('https://orders.api/orders');
+      expect(authorizationOf(fetchStub.firstCall)).to.equal('Bearer orders-token');
+    });
+  });
+
+  describe('loginWithPopup()', () => {
+    it('accepts the tokens posted by the popup', async () => {
+      const popup = { closed: false, close() {} };
+      const auth = createAuth({ domain: 'unit-test.auth0.com', hooks: { log() {} } });
+      const auth0Client = { client: { buildAuthorizeUrl: sandbox.stub().returns('https://unit-test.auth0.com/authorize') } };
+      sandbox.stub(auth.auth0ClientProvider, 'getClient').returns(auth0Client);
+      sandbox.stub(auth.popupHandler, 'open').returns(popup);
+      sandbox.stub(auth.popupHandler, 'waitForResponse')
+      .callsFake((_, url, { state }) => Promise.resolve({ state, access_token: 'popup-access-token', id_token: 'popup-id-token', expires_in: '7200' }));
+      const authMock = sandbox.mock(auth);
+      authMock.expects('tokenRefreshed').once().withArgs(sinon.match({ accessToken: 'popup-access-token', idToken: 'popup-id-token', expiresIn: 7200 })).resolves();
+
+      await auth.loginWithPopup();
+      expect(auth0Client.client.buildAuthorizeUrl.firstCall.args[0]).to.include({ responseType: 'id_token token', responseMode: 'web_message' });
+      authMock.verify();
+    });
+
+    it('rejects with PopupBlocked without contacting auth0', async () => {
+      const auth = createAuth({ hooks: { log() {} } });
+      sandbox.stub(windowInteraction, 'openPopup').returns(null);
+      sandbox.mock(auth.auth0ClientProvider).expects('getClient').never();
+
+      try {
+        await auth.loginWithPopup();
+        throw Error('loginWithPopup should have been rejected');
+      } catch (error) {
+        expect(error.code).to.equal('PopupBlocked');
+      }
+    });
+  });
+
+  describe('for claims', () => {
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    const customClaims = { 'https://unit-test.com/roles': ['admin'] };
+    const accessToken = jwtManager.sign(Object.assign({ exp, scope: 'openid read:orders', permissions: ['delete:orders'] }, customClaims), 'secret');
+    const idToken = jwtManager.sign({ exp, sub: 'unit-test-sub', roles: 'editor' }, 'secret');
+
+    it('reads the claims, scopes, permissions and namespaced roles of the tokens', () => {
+      const auth = createAuth({ claimNamespaces: ['https://unit-test.com/'] });
+      expect(auth.getClaims()).to.be.null;
+      expect(auth.hasScope('read:orders')).to.be.false;
+      auth.authResult = { accessToken, idToken };
+
+      expect(auth.getClaims().permissions).to.eql(['delete:orders']);
+      expect(auth.getClaims('id').sub).to.equal('unit-test-sub');
+      expect(auth.hasScope('read:orders')).to.be.true;
+      expect(auth.hasScope('read')).to.be.false;
+      expect(auth.hasPermission('delete:orders')).to.be.true;
+      expect(auth.hasPermission('read:orders')).to.be.false;
+      expect(auth.hasRole('admin')).to.be.true;
+      expect(auth.hasRole('editor')).to.be.true;
+      expect(auth.hasRole('owner')).to.be.false;
+
+      const authWithoutNamespaces = createAuth();
+      authWithoutNamespaces.authResult = { accessToken, idToken };
+      expect(authWithoutNamespaces.hasRole('admin')).to.be.false;
+    });
+
+    it('uses the scope returned by auth0 for opaque access tokens', () => {
+      const auth = createAuth();
+      auth.authResult = { accessToken: 'opaque-token', scope: 'openid read:orders' };
+      expect(auth.hasScope('read:orders')).to.be.true;
+    });
+
+    it('requests missing scopes with the SSO session instead of the refresh token', async () => {
+      const steppedUpToken = jwtManager.sign({ exp, scope: 'openid read:orders write:orders' }, 'secret');
+      const auth = createAuth({ useRefreshTokens: true, hooks: { log() {} } });
+      auth.authResult = { accessToken, idToken, refreshToken: 'unit-test-refresh-token' };
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      sandbox.mock(auth).expects('renewWithRefreshToken').never();
+      const checkSession = sandbox.stub().callsFake((options, callback) => callback(null, { accessToken: steppedUpToken, idToken, expiresIn: 3600 }));
+      sandbox.stub(auth.auth0ClientProvider, 'getClient').returns({ checkSession });
+      sandbox.stub(auth, 'tokenRefreshed').resolves();
+
+      await auth.ensureLoggedIn({ requiredScopes: ['write:orders'] });
+      expect(checkSession.firstCall.args[0].scope).to.equal('openid profile email write:orders');
+      expect(auth.hasScope('write:orders')).to.be.true;
+    });
+
+    it('keeps the login when auth0 does not grant the required scopes', async () => {
+      const auth = createAuth({ hooks: { log() {} } });
+      auth.authResult = { accessToken, idToken };
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      sandbox.stub(auth, 'renewWithSession').resolves({ accessToken, idToken, expiresIn: 3600 });
+      sandbox.stub(auth, 'tokenRefreshed').resolves();
+      sandbox.mock(auth).expects('universalAuth').never();
+
+      try {
+        await auth.ensureLoggedIn({ enabledHostedLogin: true, requiredScopes: ['write:orders'] });
+        throw Error('ensureLoggedIn should have been rejected');
+      } catch (error) {
+        expect(error).to.be.instanceOf(InsufficientScopeError);
+        expect(error.code).to.equal('InsufficientScope');
+      }
+      expect(auth.authResult.accessToken).to.equal(accessToken);
+    });
+
+    it('uses the refresh token again after auth0 did not grant the required scopes', async () => {
+      const auth = createAuth({ useRefreshTokens: true, hooks: { log() {} } });
+      auth.authResult = { accessToken, idToken, refreshToken: 'unit-test-refresh-token' };
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      const renewWithSession = sandbox.stub(auth, 'renewWithSession').resolves({ accessToken, idToken, refreshToken: 'unit-test-refresh-token', expiresIn: 3600 });
+      const renewWithRefreshToken = sandbox.stub(auth, 'renewWithRefreshToken').resolves({ accessToken, idToken, expiresIn: 3600 });
+      sandbox.stub(auth, 'tokenRefreshed').resolves();
+
+      try {
+        await auth.ensureLoggedIn({ requiredScopes: ['write:orders'] });
+        throw Error('ensureLoggedIn should have been rejected');
+      } catch (error) {
+        expect(error).to.be.instanceOf(InsufficientScopeError);
+      }
+      expect(auth.requestedScopes).to.be.empty;
+
+      await auth.ensureLoggedIn({ forceTokenRefresh: true });
+      expect(renewWithSession.calledOnce).to.be.true;
+      expect(renewWithRefreshToken.calledOnceWithExactly('unit-test-refresh-token')).to.be.true;
+    });
+
+    it('keeps the login when the step-up requires consent', async () => {
+      const auth = createAuth({ hooks: { log() {} } });
+      auth.authResult = { accessToken, idToken };
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      const checkSession = sandbox.stub().yields({ error: 'consent_required', errorDescription: 'Consent required' });
+      sandbox.stub(auth.auth0ClientProvider, 'getClient').returns({ checkSession });
+      const sessionExpired = sandbox.stub();
+      auth.on('sessionExpired', sessionExpired);
+      sandbox.mock(auth).expects('removeLogin').never();
+
+      try {
+        await auth.ensureLoggedIn({ requiredScopes: ['write:orders'] });
+        throw Error('ensureLoggedIn should have been rejected');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConsentRequiredError);
+      }
+      expect(auth.isAuthenticated()).to.be.true;
+      expect(auth.requestedScopes).to.be.empty;
+      expect(sessionExpired.called).to.be.false;
+    });
+  });
+
+  describe('for organizations', () => {
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    const accessToken = jwtManager.sign({ exp, org_id: 'org_first' }, 'secret');
+    const idToken = jwtManager.sign({ exp, sub: 'unit-test-sub', org_id: 'org_first' }, 'secret');
+    const secondIdToken = jwtManager.sign({ exp, sub: 'unit-test-sub', org_id: 'org_second' }, 'secret');
+
+    afterEach(() => dom.reconfigure({ url: 'https://unit-test.com/' }));
+
+    it('accepts an invitation link through the universal login', async () => {
+      dom.reconfigure({ url: 'https://unit-test.com/app?invitation=unit-test-ticket&organization=org_second' });
+      const auth = createAuth({ organization: 'org_first', hooks: { log() {} } });
+      sandbox.mock(auth).expects('universalAuth').withExactArgs(undefined, undefined, undefined, { invitation: 'unit-test-ticket' }, sinon.match.func).once().resolves();
+
+      await auth.ensureLoggedIn({ enabledHostedLogin: true });
+      expect(auth.organization).to.equal('org_second');
+      expect(window.location.href).to.equal('https://unit-test.com/app');
+    });
+
+    it('switches the organization with the SSO session instead of the refresh token', async () => {
+      const auth = createAuth({ organization: 'org_first', useRefreshTokens: true, hooks: { log() {} } });
+      auth.authResult = { accessToken, idToken, refreshToken: 'unit-test-refresh-token' };
+      sandbox.mock(auth).expects('renewWithRefreshToken').never();
+      const checkSession = sandbox.stub().yields(null, { accessToken, idToken: secondIdToken, expiresIn: 3600 });
+      sandbox.stub(auth.auth0ClientProvider, 'getClient').returns({ checkSession });
+      sandbox.stub(auth, 'tokenRefreshed').resolves();
+
+      await auth.switchOrganization('org_second');
+      expect(checkSession.firstCall.args[0].organization).to.equal('org_second');
+      expect(auth.getClaims('id').org_id).to.equal('org_second');
+      expect(auth.isOrganizationGranted()).to.be.true;
+    });
+
+    it('rejects tokens of another organization and keeps the previous one', async () => {
+      const auth = createAuth({ organization: 'org_first', hooks: { log() {} } });
+      auth.authResult = { accessToken, idToken };
+      sandbox.stub(auth.auth0ClientProvider, 'getClient').returns({ checkSession: sandbox.stub().yields(null, { accessToken, idToken, expiresIn: 3600 }) });
+
+      try {
+        await auth.switchOrganization('org_second');
+        throw Error('switchOrganization should have been rejected');
+      } catch (error) {
+        expect(error.code).to.equal('TokenValidationFailed');
+      }
+      expect(auth.organization).to.equal('org_first');
+      expect(auth.authResult.idToken).to.equal(idToken);
+    });
+
+    it('refreshes a token of another organization than the requested one', async () => {
+      const auth = createAuth({ hooks: { log() {} } });
+      auth.authResult = { accessToken, idToken };
+      sandbox.stub(auth, 'getIdToken').returns(idToken);
+      sandbox.stub(auth.tokenExpiryManager, 'getRemainingMillisToTokenExpiry').returns(60000);
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      const renewStub = sandbox.stub(auth, 'renewWithSession').resolves({ accessToken, idToken: secondIdToken, expiresIn: 3600 });
+      sandbox.stub(auth, 'tokenRefreshed').resolves();
+
+      await auth.ensureLoggedIn({ organization: 'org_second' });
+      expect(renewStub.calledOnce).to.be.true;
+      expect(auth.authResult.idToken).to.equal(secondIdToken);
+    });
+  });
+
+  describe('for metrics', () => {
+    it('reports the duration of ensureLoggedIn by outcome', async () => {
+      const reporter = new InMemoryReporter();
+      const auth = createAuth({ hooks: { log() {} }, metricsReporters: [reporter] });
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      sandbox.stub(auth, 'renewAuth').resolves();
+      sandbox.stub(auth, 'getIdToken').returns('unit-test-id-token');
+      sandbox.stub(auth.tokenExpiryManager, 'getRemainingMillisToTokenExpiry').returns(0);
+
+      await auth.ensureLoggedIn({ enabledHostedLogin: false });
+      auth.tokenExpiryManager.getRemainingMillisToTokenExpiry.returns(1000);
+      await auth.ensureLoggedIn({ enabledHostedLogin: false });
+
+      expect(reporter.getTimings('ensureLoggedIn').map(timing => timing.tags.outcome)).to.eql(['silentRenew', 'cachedToken']);
+    });
+
+    it('reports the outcome and the error code of a failed login', async () => {
+      const reporter = new InMemoryReporter();
+      const auth = createAuth({ hooks: { log() {} }, metricsReporters: [reporter] });
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      sandbox.stub(auth, 'renewAuth').rejects({ error: 'login_required', errorDescription: 'Login required' });
+
+      await auth.ensureLoggedIn({ enabledHostedLogin: false }).catch(() => {});
+
+      expect(reporter.getTimings('ensureLoggedIn', { outcome: 'error' })).to.have.lengthOf(1);
+      expect(reporter.getCount('error', { code: 'LoginRequired', operation: 'ensureLoggedIn' })).to.equal(1);
+    });
+
+    it('reports the duration of a redirect to the universal login before the page is left', async () => {
+      const reporter = new InMemoryReporter();
+      const auth = createAuth({ hooks: { log() {} }, metricsReporters: [reporter] });
+      const loginStarted = sandbox.stub();
+      auth.on('loginStarted', loginStarted);
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      sandbox.stub(auth, 'renewAuth').rejects({ error: 'login_required', errorDescription: 'Login required' });
+      // auth0-js navigates away and never calls back
+      const authorize = sandbox.stub();
+      sandbox.stub(auth.auth0ClientProvider, 'getClient').returns({ authorize });
+
+      auth.ensureLoggedIn({ enabledHostedLogin: true });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(authorize).to.have.been.calledOnce;
+      expect(loginStarted).to.have.been.calledBefore(authorize);
+      expect(reporter.getTimings('ensureLoggedIn', { outcome: 'redirect' })).to.have.lengthOf(1);
+      localStorage.clear();
+    });
+
+    it('reports the checkSession latency, the renewal retries and their errors', async () => {
+      sandbox.stub(windowInteraction, 'setTimeout').callsFake(callback => callback());
+      const reporter = new InMemoryReporter();
+      const auth = createAuth({ hooks: { log() {} }, metricsReporters: [reporter], retryPolicy: { maxAttempts: 3, jitter: false } });
+      sandbox.stub(auth.auth0ClientProvider, 'getClient').returns({ checkSession: (options, callback) => callback({ error: 'timeout' }) });
+
+      await auth.renewAuth().catch(() => {});
+
+      expect(reporter.getTimings('checkSession', { outcome: 'error' })).to.have.lengthOf(3);
+      expect(reporter.getCount('renewAuth.retry')).to.equal(2);
+      expect(reporter.getCount('error', { code: 'RenewTimeout', operation: 'renewAuth' })).to.equal(3);
+    });
+  });
+
+  describe('in server mode', () => {
+    it('is constructed without browser-only work', () => {
+      sandbox.stub(Environment, 'isBrowser').returns(false);
+      const addEventListener = sandbox.spy(window, 'addEventListener');
+      const auth = createAuth({ synchronizeTabs: true, storage: 'localStorage' });
+      sandbox.mock(auth.tokenStorage).expects('load').never();
+
+      expect(auth.serverMode).to.be.true;
+      expect(auth.tabSynchronizer.enabled).to.be.false;
+      expect(addEventListener.called).to.be.false;
+      expect(auth.getIdToken()).to.be.null;
+      expect(auth.isAuthenticated()).to.be.false;
+    });
+
+    it('removes the login without accessing the storage of the browser', () => {
+      sandbox.stub(Environment, 'isBrowser').returns(false);
+      const log = sandbox.stub();
+      const auth = createAuth({ hooks: { log } });
+      sandbox.stub(Object.getPrototypeOf(localStorage), 'getItem').callsFake(() => {
+        throw new ReferenceError('localStorage is not defined');
+      });
+
+      auth.removeLogin();
+      expect(log).to.not.have.been.called;
+    });
+
+    it('rejects the login with a BrowserRequiredError', async () => {
+      sandbox.stub(Environment, 'isBrowser').returns(false);
+      const auth = createAuth({ hooks: { log() {} } });
+      const providerMock = sandbox.mock(auth.auth0ClientProvider);
+      providerMock.expects('getClient').never();
+      providerMock.expects('resolveDomain').never();
+
+      const loginError = await auth.ensureLoggedIn().catch(error => error);
+      expect(loginError).to.be.instanceOf(BrowserRequiredError);
+      expect(loginError.code).to.equal('BrowserRequired');
+      expect(await auth.getAccessToken({ audience: 'https://orders.api' }).catch(error => error)).to.be.instanceOf(BrowserRequiredError);
+      expect(await auth.loginWithPopup().catch(error => error)).to.be.instanceOf(BrowserRequiredError);
+      expect(await auth.fetch('https://unit-test.com/orders').catch(error => error)).to.be.instanceOf(BrowserRequiredError);
+      providerMock.verify();
+    });
+  });
+
+  it('is authenticated with a token which has not expired', () => {
+    const auth = createAuth();
+    expect(auth.isAuthenticated()).to.be.false;
+    auth.authResult = { accessToken: jwtManager.sign({ exp: Math.floor(Date.now() / 1000) + 3600 }, 'secret') };
+    expect(auth.isAuthenticated()).to.be.true;
+    auth.authResult = { accessToken: jwtManager.sign({ exp: Math.floor(Date.now() / 1000) - 10 }, 'secret') };
+    expect(auth.isAuthenticated()).to.be.false;
+  });
+
+  describe('when offline', () => {
+    const authResult = { idToken: 'unit-test-id-token', accessToken: 'unit-test-access-token', expiresIn: 3600 };
+
+    it('rejects renewAuth without contacting auth0', async () => {
+      sandbox.stub(NetworkStatus, 'isOffline').returns(true);
+      const auth = createAuth({ hooks: { log() {} } });
+      sandbox.mock(auth).expects('renewWithSession').never();
+
+      try {
+        await auth.renewAuth();
+        throw Error('renewAuth should have been rejected');
+      } catch (error) {
+        expect(error).to.be.instanceOf(OfflineError);
+        expect(error.code).to.equal('Offline');
+      }
+    });
+
+    it('does not retry a network error', async () => {
+      const networkError = new TypeError('Failed to fetch');
+      const auth = createAuth({ hooks: { log() {} } });
+      sandbox.mock(auth).expects('renewWithSession').once().rejects(networkError);
+
+      try {
+        await auth.renewAuth();
+        throw Error('renewAuth should have been rejected');
+      } catch (error) {
+        expect(error).to.be.instanceOf(OfflineError);
+        expect(error.cause).to.equal(networkError);
+      }
+    });
+
+    it('does not redirect on a network error of the refresh token grant', async () => {
+      const exp = Math.floor(Date.now() / 1000) + 3600;
+      const accessToken = jwtManager.sign({ exp }, 'secret');
+      const auth = createAuth({ flow: 'pkce', useRefreshTokens: true, hooks: { log() {} } });
+      auth.authResult = { accessToken, idToken: accessToken, refreshToken: 'unit-test-refresh-token' };
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      const oauthToken = sandbox.stub().yields({ original: { crossDomain: true }, code: null });
+      sandbox.stub(auth.auth0ClientProvider, 'getClient').returns({ client: { oauthToken } });
+      sandbox.mock(auth).expects('universalAuth').never();
+
+      try {
+        await auth.ensureLoggedIn({ enabledHostedLogin: true, forceTokenRefresh: true });
+        throw Error('ensureLoggedIn should have been rejected');
+      } catch (error) {
+        expect(error).to.be.instanceOf(OfflineError);
+        expect(error.cause.original).to.eql({ crossDomain: true });
+      }
+      expect(oauthToken).to.have.been.calledOnce;
+      expect(auth.authResult.refreshToken).to.equal('unit-test-refresh-token');
+    });
+
+    it('keeps the login instead of redirecting and renews it once online', async () => {
+      const auth = createAuth({ hooks: { log() {} } });
+      auth.authResult = authResult;
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      const renewStub = sandbox.stub(auth, 'renewAuth').rejects(new OfflineError('The browser is offline.'));
+      sandbox.mock(auth).expects('universalAuth').never();
+
+      try {
+        await auth.ensureLoggedIn({ enabledHostedLogin: true, forceTokenRefresh: true });
+        throw Error('ensureLoggedIn should have been rejected');
+      } catch (error) {
+        expect(error).to.be.instanceOf(OfflineError);
+      }
+      expect(auth.authResult).to.equal(authResult);
+      expect(auth.refreshDeferred).to.be.true;
+
+      renewStub.resolves();
+      const resumeSpy = sandbox.spy(auth, 'resumeTokenRefresh');
+      window.dispatchEvent(new window.Event('online'));
+      await resumeSpy.firstCall.returnValue;
+      expect(renewStub.calledTwice).to.be.true;
+      expect(auth.refreshDeferred).to.be.false;
+    });
+
+    it('pauses the scheduled refresh', async () => {
+      sandbox.stub(NetworkStatus, 'isOffline').returns(true);
+      const auth = createAuth({ hooks: { log() {} } });
+      sandbox.mock(auth).expects('ensureLoggedIn').never();
+
+      await auth.scheduledTokenRefresh();
+      expect(auth.refreshDeferred).to.be.true;
+    });
+  });
+
+  describe('clearOldNonces()', () => {
+    afterEach(() => localStorage.clear());
+
+    it('removes only the auth0 transactions of this instance', () => {
+      localStorage.setItem('com.auth0.auth.unit-test.auth0.com.unit-test-client.first-state', '{}');
+      localStorage.setItem('com.auth0.auth.unit-test.auth0.com.other-client.second-state', '{}');
+      localStorage.setItem('unrelated-key', '{}');
+
+      createAuth({ domain: 'unit-test.auth0.com', clientId: 'unit-test-client' }).clearOldNonces();
+      expect(Object.keys(localStorage).sort()).to.eql(['com.auth0.auth.unit-test.auth0.com.other-client.second-state', 'unrelated-key']);
+    });
+  });
+
+  describe('renewAuth()', () => {
+    const refreshedAuthResult = { idToken: 'new-id-token', accessToken: 'new-access-token', refreshToken: 'new-refresh-token' };
+
+    it('renews with the SSO session when there is no refresh token', async () => {
+      const auth = createAuth({ hooks: { log() {} } });
+      sandbox.mock(auth).expects('renewWithSession').once().resolves(refreshedAuthResult);
+      sandbox.stub(auth, 'tokenRefreshed').resolves();
+
+      await auth.renewAuth();
+      expect(auth.authResult).to.equal(refreshedAuthResult);
+    });
+
+    it('renews with the refresh token and keeps the rotated refresh token', async () => {
+      const auth0Client = { client: { oauthToken() {} } };
+      const oauthTokenMock = sandbox.mock(auth0Client.client);
+      oauthTokenMock.expects('oauthToken').once()
+      .withArgs({ grantType: 'refresh_token', refreshToken: 'old-refresh-token' })
+      .callsFake((_, r) => r(null, refreshedAuthResult));
+      const auth = createAuth({ hooks: { log() {} } });
+      auth.authResult = { refreshToken: 'old-refresh-token' };
+      sandbox.stub(auth.auth0ClientProvider, 'getClient').returns(auth0Client);
+      sandbox.mock(auth).expects('renewWithSession').never();
+      sandbox.stub(auth, 'tokenRefreshed').resolves();
+
+      await auth.renewAuth();
+      expect(auth.authResult.refreshToken).to.equal('new-refresh-token');
+      oauthTokenMock.verify();
+    });
+
+    it('discards a rejected refresh token and falls back to the SSO session', async () => {
+      const auth0Client = { client: { oauthToken: (_, r) => r({ code: 'invalid_grant', description: 'Unknown or invalid refresh token.' }) } };
+      const auth = createAuth({ hooks: { log() {} } });
+      auth.authResult = { refreshToken: 'reused-refresh-token' };
+      sandbox.stub(auth.auth0ClientProvider, 'getClient').returns(auth0Client);
+      sandbox.mock(auth).expects('renewWithSession').once().resolves({ idToken: 'session-id-token', accessToken: 'session-access-token' });
+      sandbox.stub(auth, 'tokenRefreshed').resolves();
+
+      await auth.renewAuth();
+      expect(auth.authResult.accessToken).to.equal('session-access-token');
+      expect(auth.authResult.refreshToken).to.be.undefined;
+    });
+
+    it('retries with the delays of the retry policy and reports every attempt', async () => {
+      const timeoutStub = sandbox.stub(windowInteraction, 'setTimeout').callsFake(callback => callback());
+      const attemptListener = sandbox.stub();
+      const failedListener = sandbox.stub();
+      const error = { error: 'timeout' };
+      const auth = createAuth({ hooks: { log() {} }, retryPolicy: { maxAttempts: 3, initialDelay: 100, jitter: false } });
+      sandbox.stub(auth, 'renewWithSession').rejects(error);
+      auth.on('renewAttempt', attemptListener);
+      auth.on('renewFailed', failedListener);
+
+      try {
+        await auth.renewAuth();
+        throw Error('renewAuth should have been rejected');
+      } catch (renewError) {
+        expect(renewError.code).to.equal('RenewTimeout');
+      }
+      expect(timeoutStub.args.map(args => args[1])).to.eql([100, 200]);
+      expect(attemptListener.args).to.eql([[1], [2], [3]]);
+      expect(failedListener.args).to.eql([[error, 0, 100], [error, 1, 200], [error, 2, null]]);
+    });
+
+    it('does not retry when shouldRetry declines', async () => {
+      const shouldRetry = sandbox.stub().returns(false);
+      const error = { error: 'timeout' };
+      const auth = createAuth({ hooks: { log() {} }, retryPolicy: { shouldRetry } });
+      const renewMock = sandbox.mock(auth).expects('renewWithSession').once().rejects(error);
+
+      try {
+        await auth.renewAuth();
+        throw Error('renewAuth should have been rejected');
+      } catch (renewError) {
+        expect(shouldRetry.calledOnceWithExactly(error, 1)).to.be.true;
+      }
+      renewMock.verify();
     });
   });
 
@@ -184,7 +1097,7 @@ describe('auth0-sso-login.js', () => {
           objects.authMock.expects('getIdToken').once().resolves();
           objects.authMock.expects('renewAuth').once().rejects('error');
           objects.loggerMock.expects('log');
-          objects.authMock.expects('universalAuth').withExactArgs(redirectUri, undefined).once().resolves(testProfile);
+          objects.authMock.expects('universalAuth').withExactArgs(redirectUri, undefined, undefined, undefined, sinon.match.func).once().resolves(testProfile);
         }
       },
       {
@@ -192,7 +1105,7 @@ describe('auth0-sso-login.js', () => {
         configuration: { enabledHostedLogin: true, redirectUri: redirectUri },
         setExpectations(objects) {
           objects.authMock.expects('renewAuth').once().rejects('error');
-          objects.authMock.expects('universalAuth').withExactArgs(redirectUri, undefined).once().rejects(catchableError);
+          objects.authMock.expects('universalAuth').withExactArgs(redirectUri, undefined, undefined, undefined, sinon.match.func).once().rejects(catchableError);
           objects.loggerMock.expects('log');
           objects.authMock.expects('removeLogin').withExactArgs().once();
         }
@@ -232,11 +1145,114 @@ describe('auth0-sso-login.js', () => {
       }
     ];
 
+    it('rejects with an UnverifiedEmailError for an unverified email', async () => {
+      const auth = createAuth({ hooks: { log() {} } });
+      const auth0Error = { error: 'access_denied', errorDescription: 'Please verify your email before logging in.' };
+      sandbox.stub(auth, 'parseAuthResponse').rejects(auth0Error);
+
+      try {
+        await auth.ensureLoggedIn();
+        throw Error('ensureLoggedIn should have been rejected');
+      } catch (error) {
+        expect(error).to.be.instanceOf(UnverifiedEmailError);
+        expect(error.code).to.equal('UnverifiedEmail');
+        expect(error.cause).to.equal(auth0Error);
+      }
+    });
+
+    it('rejects with a DomainUnreachableError without the universal login when no domain responds', async () => {
+      sandbox.stub(windowInteraction, 'fetch').rejects(new TypeError('Failed to fetch'));
+      sandbox.stub(windowInteraction, 'setTimeout');
+      sandbox.stub(windowInteraction, 'clearTimeout');
+      const auth = createAuth({ domain: 'unit-test.auth0.com', domains: ['login.unit-test.com', 'unit-test.auth0.com'], hooks: { log() {} } });
+      const authMock = sandbox.mock(auth);
+      authMock.expects('renewAuth').never();
+      authMock.expects('universalAuth').never();
+
+      try {
+        await auth.ensureLoggedIn({ enabledHostedLogin: true });
+        throw Error('ensureLoggedIn should have been rejected');
+      } catch (error) {
+        expect(error).to.be.instanceOf(DomainUnreachableError);
+        expect(error.code).to.equal('DomainUnreachable');
+      }
+      authMock.verify();
+    });
+
+    it('validates the tokens and calls the Management API at the domain which responds', async () => {
+      const fetch = sandbox.stub(windowInteraction, 'fetch').callsFake(url => (url.startsWith('https://login.unit-test.com/')
+        ? Promise.reject(new TypeError('Failed to fetch')) : Promise.resolve({ json: () => Promise.resolve({ keys: [] }) })));
+      sandbox.stub(windowInteraction, 'setTimeout');
+      sandbox.stub(windowInteraction, 'clearTimeout');
+      const auth = createAuth({ domain: 'login.unit-test.com', domains: ['login.unit-test.com', 'unit-test.auth0.com'], validateTokens: true, hooks: { log() {} } });
+
+      await auth.resolveDomain();
+      await auth.tokenValidator.getSigningKeys(false);
+      expect(fetch.lastCall.args[0]).to.equal('https://unit-test.auth0.com/.well-known/jwks.json');
+      expect(auth.auth0ClientProvider.getManagementClient('unit-test-management-token').baseOptions.rootUrl).to.equal('https://unit-test.auth0.com/api/v2');
+    });
+
+    it('rejects with a LoginRequiredError when the session expired and the hosted login is disabled', async () => {
+      const auth = createAuth({ hooks: { log() {} } });
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      sandbox.stub(auth, 'renewAuth').rejects({ error: 'login_required', errorDescription: 'Login required' });
+
+      try {
+        await auth.ensureLoggedIn({ enabledHostedLogin: false });
+        throw Error('ensureLoggedIn should have been rejected');
+      } catch (error) {
+        expect(error).to.be.instanceOf(LoginRequiredError);
+        expect(error.code).to.equal('LoginRequired');
+      }
+    });
+
+    it('opens the popup of the popup login mode within the call and closes it when the silent renewal succeeds', async () => {
+      const popup = { closed: false, close: sandbox.stub() };
+      const auth = createAuth({ hooks: { log() {} } });
+      const open = sandbox.stub(auth.popupHandler, 'open').returns(popup);
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      sandbox.stub(auth, 'renewAuth').resolves();
+
+      const loginPromise = auth.ensureLoggedIn({ enabledHostedLogin: true, loginMode: 'popup' });
+      expect(open).to.have.been.calledOnce;
+      await loginPromise;
+      expect(popup.close).to.have.been.calledOnce;
+    });
+
+    it('logs in with the popup opened within the call when the silent renewal fails', async () => {
+      const popup = { closed: false, close() {} };
+      const auth = createAuth({ hooks: { log() {} } });
+      sandbox.stub(auth.popupHandler, 'open').returns(popup);
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      sandbox.stub(auth, 'renewAuth').rejects({ error: 'login_required' });
+      const loginInPopup = sandbox.stub(auth, 'loginInPopup').resolves();
+
+      await auth.ensureLoggedIn({ enabledHostedLogin: true, loginMode: 'popup' });
+      expect(loginInPopup).to.have.been.calledOnceWith(popup);
+    });
+
+    it('stores the redirect and app state under the state of the universal login and returns them', async () => {
+      sandbox.stub(history, 'replaceState');
+      const authorize = sandbox.stub().callsFake(() => {});
+      const auth = createAuth({ hooks: { log() {} } });
+      sandbox.stub(auth.auth0ClientProvider, 'getClient').returns({ authorize });
+      sandbox.stub(auth, 'parseAuthResponse').resolves(null);
+      sandbox.stub(auth, 'renewAuth').rejects({ error: 'login_required' });
+      auth.ensureLoggedIn({ enabledHostedLogin: true, redirectUri: '/orders', appState: { tab: 'details' } });
+      await new Promise(resolve => setTimeout(resolve));
+
+      const state = authorize.firstCall.args[0].state;
+      auth.parseAuthResponse.resolves({ idToken: 'unit-test-id-token', accessToken: 'unit-test-access-token', state });
+      sandbox.stub(auth, 'acceptAuthResult').resolves();
+      expect(await auth.ensureLoggedIn()).to.eql({ redirectUri: '/orders', appState: { tab: 'details' } });
+      expect(history.replaceState.calledOnceWithExactly(null, null, '/orders')).to.be.true;
+    });
+
     return testCases.map(testCase =>
       it(testCase.name, () => {
         const tokenExpiryManager = { getRemainingMillisToTokenExpiry() {} };
         const tokenExpiryManagerMock = sandbox.mock(tokenExpiryManager);
-        const auth = new Auth({ hook: { log() {} } });
+        const auth = createAuth({ hook: { log() {} } });
         auth.tokenExpiryManager = tokenExpiryManager;
 
         const auth0Client = { parseHash() {} };
@@ -258,7 +1274,7 @@ describe('auth0-sso-login.js', () => {
         errorHandlerMock.expects('getCapturedError').once();
         auth.errorHandler = errorHandler;
 
-        const logger = { log() {} };
+        const logger = { log() {}, startCorrelation() {} };
         auth.logger = logger;
         let loggerMock = sandbox.mock(logger);
 
@@ -272,7 +1288,7 @@ describe('auth0-sso-login.js', () => {
           tokenExpiryManagerMock.verify();
         })
         .catch(e => {
-          if (e.name !== catchableError) {
+          if ((e.cause || e).name !== catchableError) {
             throw e;
           }
         });
@@ -0,0 +1,70 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import chai from 'chai';
+import windowInteraction from '../src/window-interaction';
+import Auth0ClientProvider from '../src/auth0ClientProvider';
+import { DomainUnreachableError } from '../src/errors';
+
+const expect = chai.expect;
+const domains = ['login.unit-test.com', 'unit-test.auth0.com'];
+
+describe('auth0ClientProvider.js', () => {
+  let sandbox;
+  let fetchStub;
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(windowInteraction, 'setTimeout');
+    sandbox.stub(windowInteraction, 'clearTimeout');
+    fetchStub = sandbox.stub(windowInteraction, 'fetch');
+  });
+  afterEach(() => sandbox.restore());
+
+  it('creates the Management API client again once the token changed', () => {
+    const auth0ClientProvider = new Auth0ClientProvider({ domain: 'unit-test.auth0.com' });
+    const client = auth0ClientProvider.getManagementClient('first-token');
+
+    expect(auth0ClientProvider.getManagementClient('first-token')).to.equal(client);
+    expect(auth0ClientProvider.getManagementClient('second-token')).to.not.equal(client);
+  });
+
+  it('uses the first domain which responds and remembers it', async () => {
+    fetchStub.withArgs('https://login.unit-test.com/.well-known/openid-configuration').rejects(new TypeError('Failed to fetch'));
+    fetchStub.withArgs('https://unit-test.auth0.com/.well-known/openid-configuration').resolves({});
+    const auth0ClientProvider = new Auth0ClientProvider({ domain: 'unit-test.auth0.com', clientId: 'unit-test-client', domains });
+    expect(auth0ClientProvider.getClient().baseOptions.domain).to.equal('login.unit-test.com');
+
+    expect(await auth0ClientProvider.resolveDomain()).to.equal('unit-test.auth0.com');
+    expect(await auth0ClientProvider.resolveDomain()).to.equal('unit-test.auth0.com');
+    expect(fetchStub.callCount).to.equal(2);
+    expect(auth0ClientProvider.getDomain()).to.equal('unit-test.auth0.com');
+    expect(auth0ClientProvider.getClient().baseOptions.domain).to.equal('unit-test.auth0.com');
+  });
+
+  it('treats a domain which does not respond in time as unreachable', async () => {
+    windowInteraction.setTimeout.callsFake(callback => callback());
+    fetchStub.returns(new Promise(() => {}));
+    const auth0ClientProvider = new Auth0ClientProvider({ domain: 'unit-test.auth0.com', domains });
+
+    const error = await auth0ClientProvider.resolveDomain().catch(rejection => rejection);
+    expect(error).to.be.instanceOf(DomainUnreachableError);
+    expect(error.code).to.equal('DomainUnreachable');
+    expect(fetchStub.callCount).to.equal(2);
+  });
+
+  it('probes the domains again after none responded', async () => {
+    fetchStub.rejects(new TypeError('Failed to fetch'));
+    const auth0ClientProvider = new Auth0ClientProvider({ domain: 'unit-test.auth0.com', domains });
+    await auth0ClientProvider.resolveDomain().catch(() => {});
+
+    fetchStub.resolves({});
+    expect(await auth0ClientProvider.resolveDomain()).to.equal('login.unit-test.com');
+  });
+
+  it('does not probe a single domain', async () => {
+    const auth0ClientProvider = new Auth0ClientProvider({ domain: 'unit-test.auth0.com' });
+
+    expect(await auth0ClientProvider.resolveDomain()).to.equal('unit-test.auth0.com');
+    expect(fetchStub.called).to.be.false;
+  });
+});
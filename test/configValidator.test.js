@@ -0,0 +1,59 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it } from 'mocha';
+import chai from 'chai';
+import ConfigValidator from '../src/configValidator';
+import { ConfigurationError } from '../src/errors';
+
+const expect = chai.expect;
+const hookNames = ['logout', 'log'];
+const validConfig = { clientId: 'unit-test-client', domain: 'unit-test.auth0.com', audience: 'https://unit-test.api' };
+
+describe('configValidator.js', () => {
+  it('accepts a valid configuration', () => {
+    const config = Object.assign({ applicationRoot: '/app/', logoutRedirectUri: 'https://unit-test.com/#/logout', hooks: { logout() {}, log() {} } }, validConfig);
+
+    expect(ConfigValidator.getProblems(config, hookNames)).to.be.empty;
+    expect(() => ConfigValidator.validate(validConfig, hookNames)).to.not.throw();
+  });
+
+  it('requires the clientId, domain and audience', () => {
+    expect(ConfigValidator.getProblems({ domain: ' ', audience: 42 }, hookNames)).to.eql([
+      '\'clientId\' is required and must be a non-empty string.',
+      '\'domain\' is required and must be a non-empty string.',
+      '\'audience\' is required and must be a non-empty string.'
+    ]);
+  });
+
+  it('rejects a malformed applicationRoot and logoutRedirectUri', () => {
+    ['app', '//evil.com/', '/my app', 42].forEach(applicationRoot => {
+      const problems = ConfigValidator.getProblems(Object.assign({ applicationRoot }, validConfig), hookNames);
+      expect(problems, applicationRoot).to.have.lengthOf(1);
+      expect(problems[0]).to.include('\'applicationRoot\'');
+    });
+    ['/#/logout', 'ftp://unit-test.com/logout', 'not a url'].forEach(logoutRedirectUri => {
+      const problems = ConfigValidator.getProblems(Object.assign({ logoutRedirectUri }, validConfig), hookNames);
+      expect(problems, logoutRedirectUri).to.have.lengthOf(1);
+      expect(problems[0]).to.include('\'logoutRedirectUri\'');
+    });
+  });
+
+  it('rejects unknown hooks and hooks which are not functions', () => {
+    expect(ConfigValidator.getProblems(Object.assign({ hooks: { logOut() {}, log: 'console' } }, validConfig), hookNames)).to.eql([
+      '\'hooks.logOut\' is not a supported hook, the hooks are logout, log.',
+      '\'hooks.log\' must be a function.'
+    ]);
+    expect(ConfigValidator.getProblems(Object.assign({ hooks: null }, validConfig), hookNames)).to.have.lengthOf(1);
+  });
+
+  it('throws a ConfigurationError listing every problem', () => {
+    try {
+      ConfigValidator.validate({ clientId: 'unit-test-client', hooks: { logOut() {} } }, hookNames);
+      throw Error('validate should have thrown');
+    } catch (error) {
+      expect(error).to.be.instanceOf(ConfigurationError);
+      expect(error.code).to.equal('InvalidConfiguration');
+      expect(error.problems).to.have.lengthOf(3);
+      expect(error.message).to.include('\'domain\' is required').and.include('\'hooks.logOut\'');
+    }
+  });
+});
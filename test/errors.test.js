@@ -0,0 +1,39 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it } from 'mocha';
+import chai from 'chai';
+import { AuthError, LoginRequiredError, ConsentRequiredError, UnverifiedEmailError, RenewTimeoutError, ProfileError, toAuthError } from '../src/errors';
+
+const expect = chai.expect;
+
+describe('errors.js', () => {
+  it('maps auth0 errors to the error classes and keeps the cause', () => {
+    const cause = { error: 'login_required', errorDescription: 'Login required' };
+    const error = toAuthError(cause);
+
+    expect(error).to.be.instanceOf(LoginRequiredError);
+    expect(error).to.be.instanceOf(AuthError);
+    expect(error).to.be.instanceOf(Error);
+    expect(error.code).to.equal('LoginRequired');
+    expect(error.message).to.equal('Login required');
+    expect(error.error).to.equal('login_required');
+    expect(error.cause).to.equal(cause);
+  });
+
+  it('maps every known error to its code', () => {
+    expect(toAuthError({ error: 'interaction_required' })).to.be.instanceOf(LoginRequiredError);
+    expect(toAuthError({ error: 'consent_required' })).to.be.instanceOf(ConsentRequiredError);
+    expect(toAuthError({ error: 'timeout' })).to.be.instanceOf(RenewTimeoutError);
+    expect(toAuthError({ error: 'access_denied', errorDescription: 'Please verify your email before logging in.' })).to.be.instanceOf(UnverifiedEmailError);
+    expect(toAuthError({ error: 'no_token_available' }).code).to.equal('NoTokenAvailable');
+    expect(toAuthError({ error: 'invalid_token', errorCode: 'TokenValidationFailed' }).code).to.equal('TokenValidationFailed');
+    expect(toAuthError({ error: 'access_denied' }).code).to.equal('AuthenticationFailed');
+  });
+
+  it('uses the default class for unknown errors and keeps AuthErrors', () => {
+    const error = toAuthError(Error('network down'), ProfileError);
+    expect(error).to.be.instanceOf(ProfileError);
+    expect(error.code).to.equal('ProfileError');
+    expect(error.message).to.equal('network down');
+    expect(toAuthError(error)).to.equal(error);
+  });
+});
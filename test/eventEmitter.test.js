@@ -0,0 +1,51 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it } from 'mocha';
+import sinon from 'sinon';
+import chai from 'chai';
+import EventEmitter from '../src/eventEmitter';
+
+const expect = chai.expect;
+
+describe('eventEmitter.js', () => {
+  it('calls every listener with the payload', async () => {
+    const events = new EventEmitter(['tokenRefreshed']);
+    const first = sinon.stub();
+    const second = sinon.stub().resolves();
+    events.on('tokenRefreshed', first);
+    events.on('tokenRefreshed', second);
+
+    await events.emit('tokenRefreshed', 'payload', 1);
+    expect(first.calledWithExactly('payload', 1)).to.be.true;
+    expect(second.calledWithExactly('payload', 1)).to.be.true;
+  });
+
+  it('does not call removed listeners', async () => {
+    const events = new EventEmitter(['loggedOut']);
+    const handler = sinon.stub();
+    events.on('loggedOut', handler);
+    events.off('loggedOut', handler);
+
+    await events.emit('loggedOut');
+    expect(handler.called).to.be.false;
+    expect(events.hasListeners('loggedOut')).to.be.false;
+  });
+
+  it('rejects when a listener throws, after calling the others', async () => {
+    const events = new EventEmitter(['loggedOut']);
+    const handler = sinon.stub();
+    events.on('loggedOut', () => { throw Error('listener-error'); });
+    events.on('loggedOut', handler);
+
+    try {
+      await events.emit('loggedOut');
+      throw Error('emit should have been rejected');
+    } catch (error) {
+      expect(error.message).to.equal('listener-error');
+    }
+    expect(handler.calledOnce).to.be.true;
+  });
+
+  it('rejects unknown events', () => {
+    expect(() => new EventEmitter(['loggedOut']).on('loggedout', () => {})).to.throw(/Unknown event 'loggedout'/);
+  });
+});
@@ -0,0 +1,111 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import chai from 'chai';
+import windowInteraction from '../src/window-interaction';
+import IdleTracker from '../src/idleTracker';
+
+const expect = chai.expect;
+
+describe('idleTracker.js', () => {
+  let sandbox;
+  let now;
+  let timers;
+  let callbacks;
+  let idleTracker;
+
+  const runTimer = () => timers.pop()();
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    now = 100000;
+    timers = [];
+    sandbox.stub(Date, 'now').callsFake(() => now);
+    sandbox.stub(windowInteraction, 'setTimeout').callsFake(callback => timers.push(callback));
+    sandbox.stub(windowInteraction, 'clearTimeout');
+    callbacks = { onWarning: sandbox.stub(), onTimeout: sandbox.stub(), onActive: sandbox.stub(), onActivity: sandbox.stub() };
+    idleTracker = new IdleTracker({ log() {} }, { timeout: 600000, warningTime: 60000 }, callbacks);
+  });
+  afterEach(() => {
+    idleTracker.stop();
+    sandbox.restore();
+  });
+
+  it('warns before and ends the session at the timeout', () => {
+    idleTracker.start();
+    expect(windowInteraction.setTimeout.lastCall.args[1]).to.equal(540000);
+
+    now += 540000;
+    runTimer();
+    expect(callbacks.onWarning.calledOnceWithExactly(60000)).to.be.true;
+    expect(idleTracker.isIdle()).to.be.true;
+
+    now += 60000;
+    runTimer();
+    expect(callbacks.onTimeout.calledOnce).to.be.true;
+    expect(idleTracker.isIdle()).to.be.false;
+  });
+
+  it('postpones the warning after an activity', () => {
+    idleTracker.start();
+    now += 300000;
+    window.dispatchEvent(new window.Event('keydown'));
+
+    now += 240000;
+    runTimer();
+    expect(callbacks.onWarning.called).to.be.false;
+    expect(windowInteraction.setTimeout.lastCall.args[1]).to.equal(300000);
+    expect(callbacks.onActivity.calledOnce).to.be.true;
+  });
+
+  it('extends the session when the user is active after the warning', () => {
+    idleTracker.start();
+    now += 550000;
+    runTimer();
+    idleTracker.recordActivity();
+
+    expect(idleTracker.isIdle()).to.be.false;
+    expect(callbacks.onActive.calledOnce).to.be.true;
+    expect(windowInteraction.setTimeout.lastCall.args[1]).to.equal(540000);
+  });
+
+  it('extends the session when the user is active in another tab after the warning', () => {
+    const options = { timeout: 600000, warningTime: 60000, activityKey: 'unit-test.lastActivity' };
+    const activeTab = new IdleTracker({ log() {} }, options, { onActivity() {} });
+    const idleTab = new IdleTracker({ log() {} }, options, callbacks);
+    activeTab.start();
+    idleTab.start();
+    now += 550000;
+    runTimer();
+    expect(idleTab.isIdle()).to.be.true;
+
+    activeTab.recordActivity();
+    now += 60000;
+    runTimer();
+    expect(idleTab.isIdle()).to.be.false;
+    expect(callbacks.onTimeout.called).to.be.false;
+    expect(callbacks.onActive.calledOnce).to.be.true;
+    expect(windowInteraction.setTimeout.lastCall.args[1]).to.equal(480000);
+    activeTab.stop();
+    idleTab.stop();
+    expect(localStorage.getItem('unit-test.lastActivity')).to.be.null;
+  });
+
+  it('does not count hiding the page as activity', () => {
+    idleTracker.start();
+    now += 550000;
+    runTimer();
+    sandbox.stub(document, 'visibilityState').get(() => 'hidden');
+    document.dispatchEvent(new window.Event('visibilitychange'));
+
+    expect(idleTracker.isIdle()).to.be.true;
+  });
+
+  it('does not track the activity without a timeout', () => {
+    const tracker = new IdleTracker({ log() {} }, {}, callbacks);
+    tracker.start();
+
+    expect(tracker.isEnabled()).to.be.false;
+    expect(windowInteraction.setTimeout.called).to.be.false;
+  });
+});
@@ -0,0 +1,77 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import chai from 'chai';
+import jwtManager from 'jsonwebtoken';
+import Logger from '../src/logger';
+
+const expect = chai.expect;
+const token = jwtManager.sign({ sub: 'unit-test-sub' }, 'secret');
+
+describe('logger.js', () => {
+  let sandbox;
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+  afterEach(() => sandbox.restore());
+
+  it('redacts tokens and authorization codes from every field', () => {
+    const sink = sandbox.stub();
+    const error = new Error(`Token ${token} is invalid`);
+    new Logger({ logSinks: [sink] }).log({
+      title: 'JWTTokenException',
+      invalidToken: 'opaque-token',
+      url: 'https://unit-test.com/?code=unit-test-code&state=unit-test-state#access_token=opaque-token&expires_in=3600',
+      details: { authResult: { accessToken: 'opaque-token', expiresIn: 3600 }, headers: ['Bearer opaque-token'] },
+      error
+    });
+
+    const message = sink.firstCall.args[0];
+    expect(message.invalidToken).to.equal('[REDACTED]');
+    expect(message.url).to.equal('https://unit-test.com/?code=[REDACTED]&state=unit-test-state#access_token=[REDACTED]&expires_in=3600');
+    expect(message.details).to.eql({ authResult: { accessToken: '[REDACTED]', expiresIn: 3600 }, headers: ['Bearer [REDACTED]'] });
+    expect(message.error.message).to.equal('Token [REDACTED] is invalid');
+    expect(JSON.stringify(message)).to.not.include(token);
+  });
+
+  it('adds the level, timestamp, instance id and correlation id', () => {
+    const sink = sandbox.stub();
+    const logger = new Logger({ logSinks: [sink] });
+    logger.log({ title: 'first', level: 'WARN' });
+    const correlationId = logger.startCorrelation();
+    logger.log({ title: 'second', error: 'unit-test-error' });
+
+    const [first, second] = sink.args.map(args => args[0]);
+    expect(first).to.include({ title: 'first', level: 'warn', instanceId: logger.instanceId, correlationId: null });
+    expect(new Date(first.timestamp).getTime()).to.be.a('number').and.not.NaN;
+    expect(second).to.include({ title: 'second', level: 'error', correlationId });
+    expect(new Logger().instanceId).to.not.equal(logger.instanceId);
+  });
+
+  it('logs only messages of at least the minimum level', () => {
+    const sink = sandbox.stub();
+    const logger = new Logger({ logLevel: 'warn', logSinks: [sink] });
+    logger.log({ title: 'debug', level: 'debug' });
+    logger.log({ title: 'info' });
+    logger.log({ title: 'warn', level: 'warn' });
+    logger.log({ title: 'error', error: 'unit-test-error' });
+
+    expect(sink.args.map(args => args[0].title)).to.eql(['warn', 'error']);
+  });
+
+  it('sends every message to the log hook and all sinks, also when one of them fails', () => {
+    const hook = sandbox.stub().throws(Error('unit-test-error'));
+    const sink = sandbox.stub();
+    new Logger({ hooks: { log: hook }, logSinks: [sink] }).log({ title: 'unit-test-title' });
+
+    expect(hook.calledOnce).to.be.true;
+    expect(sink.firstCall.args[0].title).to.equal('unit-test-title');
+  });
+
+  it('logs to the console method of the level without a sink', () => {
+    const warn = sandbox.stub(console, 'warn');
+    new Logger().log({ title: 'unit-test-title', level: 'warn' });
+
+    expect(warn.firstCall.args[0].title).to.equal('unit-test-title');
+  });
+});
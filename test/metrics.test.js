@@ -0,0 +1,66 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import chai from 'chai';
+import Metrics from '../src/metrics';
+import InMemoryReporter from '../src/inMemoryReporter';
+import PerformanceMarkReporter from '../src/performanceMarkReporter';
+import { LoginRequiredError } from '../src/errors';
+
+const expect = chai.expect;
+
+describe('metrics.js', () => {
+  let sandbox;
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+  afterEach(() => sandbox.restore());
+
+  it('reports the duration of an operation with the tags of its start and end', () => {
+    const clock = sandbox.useFakeTimers(Date.now());
+    const reporter = new InMemoryReporter();
+    const stopTimer = new Metrics([reporter]).startTimer('checkSession', { audience: 'unit-test-audience' });
+    clock.tick(250);
+    stopTimer({ outcome: 'success' });
+
+    expect(reporter.getTimings('checkSession')).to.eql([{ name: 'checkSession', duration: 250, tags: { audience: 'unit-test-audience', outcome: 'success' } }]);
+    expect(reporter.getTimings('checkSession', { outcome: 'error' })).to.be.empty;
+  });
+
+  it('counts errors by their code and operation', () => {
+    const reporter = new InMemoryReporter();
+    const metrics = new Metrics([reporter]);
+    metrics.countError(new LoginRequiredError('Login required'), 'renewAuth');
+    metrics.countError(new LoginRequiredError('Login required'), 'ensureLoggedIn');
+    metrics.countError({ error: 'timeout' }, 'renewAuth');
+    metrics.countError(undefined, 'renewAuth');
+
+    expect(reporter.getCount('error', { code: 'LoginRequired' })).to.equal(2);
+    expect(reporter.getCount('error', { operation: 'renewAuth' })).to.equal(3);
+    expect(reporter.getCount('error', { code: 'Unknown' })).to.equal(1);
+    reporter.clear();
+    expect(reporter.getCount('error')).to.equal(0);
+  });
+
+  it('reports to every reporter, also when one of them fails', () => {
+    const failingReporter = { count: sandbox.stub().throws(Error('unit-test-error')) };
+    const reporter = new InMemoryReporter();
+    new Metrics([failingReporter, {}, reporter]).increment('renewAuth.retry', { attempt: 1 });
+
+    expect(failingReporter.count.calledOnce).to.be.true;
+    expect(reporter.getCount('renewAuth.retry', { attempt: 1 })).to.equal(1);
+  });
+
+  it('adds performance marks for the metrics', () => {
+    const mark = sandbox.stub(performance, 'mark');
+    sandbox.stub(performance, 'now').returns(1000);
+    const reporter = new PerformanceMarkReporter({ prefix: 'unit-test' });
+    reporter.timing('ensureLoggedIn', 300, { outcome: 'silentRenew' });
+    reporter.count('error', 1, { code: 'LoginRequired' });
+
+    expect(mark.args).to.eql([
+      ['unit-test:ensureLoggedIn', { detail: { duration: 300, tags: { outcome: 'silentRenew' } }, startTime: 700 }],
+      ['unit-test:error', { detail: { value: 1, tags: { code: 'LoginRequired' } } }]
+    ]);
+  });
+});
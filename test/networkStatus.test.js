@@ -0,0 +1,35 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it, afterEach } from 'mocha';
+import chai from 'chai';
+import NetworkStatus from '../src/networkStatus';
+
+const expect = chai.expect;
+
+describe('networkStatus.js', () => {
+  afterEach(() => {
+    delete navigator.onLine;
+  });
+
+  it('reports offline only when the browser says so', () => {
+    expect(NetworkStatus.isOffline()).to.be.false;
+    navigator.onLine = false;
+    expect(NetworkStatus.isOffline()).to.be.true;
+  });
+
+  it('detects network errors', () => {
+    expect(NetworkStatus.isNetworkError(new TypeError('Failed to fetch'))).to.be.true;
+    expect(NetworkStatus.isNetworkError({ original: { crossDomain: true }, description: 'Request has been terminated' })).to.be.true;
+    expect(NetworkStatus.isNetworkError({ original: new Error('Request has been terminated\nPossible causes: the network is offline') })).to.be.true;
+  });
+
+  it('does not take auth0 or programming errors for network errors', () => {
+    expect(NetworkStatus.isNetworkError({ error: 'login_required' })).to.be.false;
+    expect(NetworkStatus.isNetworkError({ original: { status: 403 }, code: 'invalid_grant' })).to.be.false;
+    expect(NetworkStatus.isNetworkError(new TypeError('Cannot read property \'idToken\' of undefined'))).to.be.false;
+  });
+
+  it('takes every error for a network error while offline', () => {
+    navigator.onLine = false;
+    expect(NetworkStatus.isNetworkError({ error: 'timeout' })).to.be.true;
+  });
+});
@@ -0,0 +1,85 @@
+/* eslint-disable no-unused-expressions */
+/* global dom */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import chai from 'chai';
+import { createHash } from 'crypto';
+import PkceHandler from '../src/pkceHandler';
+
+const expect = chai.expect;
+
+describe('pkceHandler.js', () => {
+  const logger = { log() {} };
+
+  afterEach(() => {
+    localStorage.clear();
+    dom.reconfigure({ url: 'https://unit-test.com/' });
+  });
+
+  describe('createChallenge()', () => {
+    it('creates an S256 challenge for the code verifier', async () => {
+      const { codeVerifier, codeChallenge } = await new PkceHandler(logger).createChallenge();
+      const expectedChallenge = createHash('sha256').update(codeVerifier).digest('base64')
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+      expect(codeVerifier).to.match(/^[A-Za-z0-9_-]{43}$/);
+      expect(codeChallenge).to.equal(expectedChallenge);
+    });
+
+    it('stores the code verifier and nonce under the state once', async () => {
+      const pkceHandler = new PkceHandler(logger);
+      const { state, nonce, codeVerifier } = await pkceHandler.createChallenge();
+      expect(pkceHandler.consumeTransaction(state)).to.deep.equal({ nonce, codeVerifier });
+      expect(pkceHandler.consumeTransaction(state)).to.be.null;
+    });
+  });
+
+  describe('createTransaction()', () => {
+    it('stores the nonce under the state once', () => {
+      const pkceHandler = new PkceHandler(logger);
+      const { state, nonce } = pkceHandler.createTransaction();
+      expect(pkceHandler.consumeTransaction(state)).to.deep.equal({ nonce });
+      expect(pkceHandler.consumeTransaction(state)).to.be.null;
+    });
+  });
+
+  describe('parseQuery()', () => {
+    beforeEach(() => {
+      dom.reconfigure({ url: 'https://unit-test.com/app?code=unit-test-code&state=unit-test-state&tab=1#/route' });
+    });
+
+    it('returns the authorization response', () => {
+      const response = new PkceHandler(logger).parseQuery();
+      expect(response.code).to.equal('unit-test-code');
+      expect(response.state).to.equal('unit-test-state');
+      expect(response.error).to.be.null;
+    });
+
+    it('returns null without an authorization response', () => {
+      dom.reconfigure({ url: 'https://unit-test.com/app?tab=1' });
+      expect(new PkceHandler(logger).parseQuery()).to.be.null;
+    });
+
+    it('returns null for a query without state', () => {
+      dom.reconfigure({ url: 'https://unit-test.com/app?code=app-code&error=app-error' });
+      expect(new PkceHandler(logger).parseQuery()).to.be.null;
+    });
+
+    it('removes only the authorization response from the url', () => {
+      new PkceHandler(logger).clearQuery();
+      expect(window.location.href).to.equal('https://unit-test.com/app?tab=1#/route');
+    });
+  });
+
+  describe('parseInvitation()', () => {
+    it('returns and removes the invitation from the url', () => {
+      dom.reconfigure({ url: 'https://unit-test.com/app?invitation=unit-test-ticket&organization=org_unit-test&organization_name=unit-test&tab=1' });
+
+      expect(new PkceHandler(logger).parseInvitation()).to.eql({ invitation: 'unit-test-ticket', organization: 'org_unit-test' });
+      expect(window.location.href).to.equal('https://unit-test.com/app?tab=1');
+    });
+
+    it('returns null without an invitation', () => {
+      dom.reconfigure({ url: 'https://unit-test.com/app?organization=org_unit-test' });
+      expect(new PkceHandler(logger).parseInvitation()).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import chai from 'chai';
+import windowInteraction from '../src/window-interaction';
+import PopupHandler from '../src/popupHandler';
+
+const expect = chai.expect;
+
+describe('popupHandler.js', () => {
+  const logger = { log() {} };
+  const options = { origin: 'https://unit-test.auth0.com', state: 'unit-test-state', timeout: 60000 };
+  let sandbox;
+  let popup;
+  let timers;
+
+  const postResponse = (response, origin = options.origin) => {
+    window.dispatchEvent(new window.MessageEvent('message', { origin, data: { type: 'authorization_response', response } }));
+  };
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    popup = { closed: false, close: sandbox.spy(), location: {} };
+    timers = [];
+    sandbox.stub(windowInteraction, 'setTimeout').callsFake((func, delay) => timers.push({ func, delay }));
+    sandbox.stub(windowInteraction, 'clearTimeout');
+  });
+  afterEach(() => sandbox.restore());
+
+  describe('open()', () => {
+    it('throws PopupBlocked when the browser blocks the popup', () => {
+      sandbox.stub(windowInteraction, 'openPopup').returns(null);
+      expect(() => new PopupHandler(logger).open()).to.throw().with.property('errorCode', 'PopupBlocked');
+    });
+  });
+
+  describe('waitForResponse()', () => {
+    it('loads the url and resolves with the response of the matching state', async () => {
+      const responsePromise = new PopupHandler(logger).waitForResponse(popup, 'https://unit-test.auth0.com/authorize', options);
+      expect(popup.location.href).to.equal('https://unit-test.auth0.com/authorize');
+
+      postResponse({ state: 'unit-test-state', access_token: 'wrong-origin-token' }, 'https://evil.com');
+      postResponse({ state: 'other-state', access_token: 'other-state-token' });
+      postResponse({ state: 'unit-test-state', access_token: 'unit-test-token' });
+
+      expect((await responsePromise).access_token).to.equal('unit-test-token');
+      expect(popup.close.calledOnce).to.be.true;
+    });
+
+    it('rejects with the auth0 error', async () => {
+      const responsePromise = new PopupHandler(logger).waitForResponse(popup, 'url', options);
+      postResponse({ state: 'unit-test-state', error: 'access_denied', error_description: 'Denied' });
+
+      try {
+        await responsePromise;
+        throw Error('waitForResponse should have been rejected');
+      } catch (error) {
+        expect(error.error).to.equal('access_denied');
+      }
+    });
+
+    it('rejects with PopupClosed when the user closes the popup', async () => {
+      const responsePromise = new PopupHandler(logger).waitForResponse(popup, 'url', options);
+      popup.closed = true;
+      timers.find(timer => timer.delay !== options.timeout).func();
+
+      try {
+        await responsePromise;
+        throw Error('waitForResponse should have been rejected');
+      } catch (error) {
+        expect(error.errorCode).to.equal('PopupClosed');
+      }
+    });
+
+    it('rejects with PopupTimeout when the login takes too long', async () => {
+      const responsePromise = new PopupHandler(logger).waitForResponse(popup, 'url', options);
+      timers.find(timer => timer.delay === options.timeout).func();
+
+      try {
+        await responsePromise;
+        throw Error('waitForResponse should have been rejected');
+      } catch (error) {
+        expect(error.errorCode).to.equal('PopupTimeout');
+        expect(popup.close.calledOnce).to.be.true;
+      }
+    });
+  });
+});
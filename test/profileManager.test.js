@@ -0,0 +1,142 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import chai from 'chai';
+import jwtManager from 'jsonwebtoken';
+import ProfileManager from '../src/profileManager';
+import Auth0ClientProvider from '../src/auth0ClientProvider';
+import Metrics from '../src/metrics';
+import InMemoryReporter from '../src/inMemoryReporter';
+import { ProfileError } from '../src/errors';
+
+const expect = chai.expect;
+const domain = 'unit-test.auth0.com';
+const exp = Math.floor(Date.now() / 1000) + 3600;
+const idToken = jwtManager.sign({ exp, sub: 'unit-test-sub' }, 'secret');
+const managementAuthResult = {
+  idToken,
+  accessToken: jwtManager.sign({ exp, sub: 'unit-test-sub', aud: ['unit-test-api', `https://${domain}/api/v2/`], scope: 'openid read:current_user update:current_user_metadata' }, 'secret')
+};
+const apiAuthResult = { idToken, accessToken: jwtManager.sign({ exp, sub: 'unit-test-sub', aud: 'unit-test-api', scope: 'openid' }, 'secret') };
+
+describe('profileManager.js', () => {
+  let sandbox;
+  let managementClient;
+  let authenticationClient;
+  let auth0ClientProvider;
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    managementClient = { getUser: sandbox.stub().yields(null, { user_id: 'unit-test-sub', source: 'management' }), patchUserMetadata: sandbox.stub(), linkUser: sandbox.stub() };
+    authenticationClient = { userInfo: sandbox.stub().yields(null, { sub: 'unit-test-sub', source: 'userinfo' }) };
+    auth0ClientProvider = new Auth0ClientProvider({ domain });
+    sandbox.stub(auth0ClientProvider, 'getManagementClient').returns(managementClient);
+    sandbox.stub(auth0ClientProvider, 'getClient').returns({ client: authenticationClient });
+  });
+  afterEach(() => sandbox.restore());
+
+  it('gets the profile from the Management API when the token was granted read:current_user', async () => {
+    const profile = await new ProfileManager({ domain }, auth0ClientProvider).getProfile(managementAuthResult);
+
+    expect(profile.source).to.equal('management');
+    expect(auth0ClientProvider.getManagementClient.calledOnceWithExactly(managementAuthResult.accessToken)).to.be.true;
+    expect(managementClient.getUser.firstCall.args[0]).to.equal('unit-test-sub');
+  });
+
+  it('falls back to the userinfo endpoint when the token lacks the Management API scopes', async () => {
+    const profile = await new ProfileManager({ domain }, auth0ClientProvider).getProfile(apiAuthResult);
+
+    expect(profile.source).to.equal('userinfo');
+    expect(authenticationClient.userInfo.firstCall.args[0]).to.equal(apiAuthResult.accessToken);
+    expect(auth0ClientProvider.getManagementClient.called).to.be.false;
+  });
+
+  it('caches the profile for the ttl', async () => {
+    const clock = sandbox.useFakeTimers(Date.now());
+    const profileManager = new ProfileManager({ domain, profileCacheTtl: 1000 }, auth0ClientProvider);
+    await profileManager.getProfile(apiAuthResult);
+    await profileManager.getProfile(apiAuthResult);
+    expect(authenticationClient.userInfo.callCount).to.equal(1);
+
+    await profileManager.getProfile(apiAuthResult, { forceRefresh: true });
+    expect(authenticationClient.userInfo.callCount).to.equal(2);
+
+    clock.tick(1001);
+    await profileManager.getProfile(apiAuthResult);
+    expect(authenticationClient.userInfo.callCount).to.equal(3);
+
+    profileManager.invalidate();
+    await profileManager.getProfile(apiAuthResult);
+    expect(authenticationClient.userInfo.callCount).to.equal(4);
+  });
+
+  it('does not return the cached profile of another user', async () => {
+    const profileManager = new ProfileManager({ domain }, auth0ClientProvider);
+    await profileManager.getProfile(apiAuthResult);
+    await profileManager.getProfile({ accessToken: jwtManager.sign({ exp, sub: 'other-sub' }, 'secret') });
+
+    expect(authenticationClient.userInfo.callCount).to.equal(2);
+  });
+
+  it('rejects with a ProfileError without a login or when the request fails', async () => {
+    const profileManager = new ProfileManager({ domain }, auth0ClientProvider);
+    const missingLoginError = await profileManager.getProfile(null).catch(error => error);
+    expect(missingLoginError).to.be.instanceOf(ProfileError);
+
+    const cause = { error: 'invalid_token' };
+    authenticationClient.userInfo.yields(cause);
+    const requestError = await profileManager.getProfile(apiAuthResult).catch(error => error);
+    expect(requestError).to.be.instanceOf(ProfileError);
+    expect(requestError.cause).to.equal(cause);
+  });
+
+  it('reports the latency of retrieved profiles and counts the failures', async () => {
+    const reporter = new InMemoryReporter();
+    const profileManager = new ProfileManager({ domain }, auth0ClientProvider, new Metrics([reporter]));
+    await profileManager.getProfile(managementAuthResult);
+    await profileManager.getProfile(managementAuthResult);
+    authenticationClient.userInfo.yields({ error: 'invalid_token' });
+    await profileManager.getProfile(apiAuthResult, { forceRefresh: true }).catch(() => {});
+
+    expect(reporter.getTimings('profile', { source: 'management', outcome: 'success' })).to.have.lengthOf(1);
+    expect(reporter.getTimings('profile', { source: 'userinfo', outcome: 'error' })).to.have.lengthOf(1);
+    expect(reporter.getCount('error', { code: 'ProfileError', operation: 'getProfile' })).to.equal(1);
+  });
+
+  it('updates the user metadata and the cached profile', async () => {
+    const updatedProfile = { user_id: 'unit-test-sub', user_metadata: { theme: 'dark' } };
+    managementClient.patchUserMetadata.yields(null, updatedProfile);
+    const profileManager = new ProfileManager({ domain }, auth0ClientProvider);
+
+    expect(await profileManager.updateUserMetadata(managementAuthResult, { theme: 'dark' })).to.equal(updatedProfile);
+    expect(managementClient.patchUserMetadata.firstCall.args.slice(0, 2)).to.eql(['unit-test-sub', { theme: 'dark' }]);
+    expect(await profileManager.getProfile(managementAuthResult)).to.equal(updatedProfile);
+    expect(managementClient.getUser.called).to.be.false;
+  });
+
+  it('rejects updates and account links when the token lacks the Management API scope', async () => {
+    const profileManager = new ProfileManager({ domain }, auth0ClientProvider);
+
+    const updateError = await profileManager.updateUserMetadata(apiAuthResult, { theme: 'dark' }).catch(error => error);
+    expect(updateError).to.be.instanceOf(ProfileError);
+    const linkError = await profileManager.linkAccount(managementAuthResult, 'secondary-id-token').catch(error => error);
+    expect(linkError).to.be.instanceOf(ProfileError);
+    expect(managementClient.patchUserMetadata.called).to.be.false;
+    expect(managementClient.linkUser.called).to.be.false;
+  });
+
+  it('links an account and invalidates the cached profile', async () => {
+    const authResult = {
+      idToken,
+      accessToken: jwtManager.sign({ exp, sub: 'unit-test-sub', aud: `https://${domain}/api/v2/`, scope: 'read:current_user update:current_user_identities' }, 'secret')
+    };
+    const identities = [{ provider: 'auth0' }, { provider: 'google-oauth2' }];
+    managementClient.linkUser.yields(null, identities);
+    const profileManager = new ProfileManager({ domain }, auth0ClientProvider);
+    await profileManager.getProfile(authResult);
+
+    expect(await profileManager.linkAccount(authResult, 'secondary-id-token')).to.equal(identities);
+    expect(managementClient.linkUser.firstCall.args.slice(0, 2)).to.eql(['unit-test-sub', 'secondary-id-token']);
+    await profileManager.getProfile(authResult);
+    expect(managementClient.getUser.callCount).to.equal(2);
+  });
+});
@@ -0,0 +1,92 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import chai from 'chai';
+import RedirectHandler from '../src/redirectHandler';
+import StorageNamespace from '../src/storageNamespace';
+
+const expect = chai.expect;
+const logger = { log() {} };
+
+describe('redirectHandler.js', () => {
+  let sandbox;
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(history, 'replaceState');
+  });
+  afterEach(() => {
+    localStorage.clear();
+    sandbox.restore();
+  });
+
+  it('returns the redirect and app state stored for the state', () => {
+    const redirectHandler = new RedirectHandler(logger);
+    redirectHandler.setRedirect('https://unit-test.com/orders/1', 'first-state', { tab: 'details' });
+    redirectHandler.setRedirect('https://unit-test.com/orders/2', 'second-state');
+
+    expect(redirectHandler.attemptRedirect('first-state')).to.eql({ redirectUri: 'https://unit-test.com/orders/1', appState: { tab: 'details' } });
+    expect(history.replaceState.calledOnceWithExactly(null, null, 'https://unit-test.com/orders/1')).to.be.true;
+    expect(redirectHandler.attemptRedirect('first-state')).to.be.null;
+    expect(redirectHandler.attemptRedirect('second-state').redirectUri).to.equal('https://unit-test.com/orders/2');
+  });
+
+  it('ignores an expired redirect', () => {
+    const redirectHandler = new RedirectHandler(logger);
+    redirectHandler.setRedirect('/orders', 'unit-test-state');
+    const later = Date.now() + 2 * 60 * 60 * 1000;
+    sandbox.stub(Date, 'now').returns(later);
+
+    expect(redirectHandler.attemptRedirect('unit-test-state')).to.be.null;
+    expect(history.replaceState.called).to.be.false;
+  });
+
+  it('removes expired redirects of logins which were never completed', () => {
+    const redirectHandler = new RedirectHandler(logger);
+    redirectHandler.setRedirect('/orders', 'abandoned-state');
+    const later = Date.now() + 2 * 60 * 60 * 1000;
+    sandbox.stub(Date, 'now').returns(later);
+    redirectHandler.setRedirect('/orders', 'new-state');
+
+    expect(Object.keys(localStorage).filter(key => key.includes('abandoned-state'))).to.be.empty;
+    expect(redirectHandler.attemptRedirect('new-state').redirectUri).to.equal('/orders');
+  });
+
+  it('rejects redirects outside the allowlist', () => {
+    const redirectHandler = new RedirectHandler(logger, ['https://unit-test.com/app/']);
+    expect(redirectHandler.isAllowed('/app/orders')).to.be.true;
+    expect(redirectHandler.isAllowed('https://unit-test.com/admin')).to.be.false;
+    expect(redirectHandler.isAllowed('https://evil.com/app/')).to.be.false;
+    expect(redirectHandler.isAllowed('//evil.com/app/')).to.be.false;
+    expect(new RedirectHandler(logger, ['https://unit-test.com/app']).isAllowed('/app/orders')).to.be.true;
+    expect(new RedirectHandler(logger, ['https://unit-test.com/app']).isAllowed('/application')).to.be.false;
+
+    redirectHandler.setRedirect('https://evil.com/app/', 'unit-test-state');
+    expect(redirectHandler.attemptRedirect('unit-test-state')).to.be.null;
+  });
+
+  it('returns a redirect to another allowed origin without replacing the history', () => {
+    const redirectHandler = new RedirectHandler(logger, ['https://unit-test.com', 'https://orders.unit-test.com']);
+    redirectHandler.setRedirect('https://orders.unit-test.com/1', 'unit-test-state', { tab: 'details' });
+
+    expect(redirectHandler.attemptRedirect('unit-test-state')).to.eql({ redirectUri: 'https://orders.unit-test.com/1', appState: { tab: 'details' } });
+    expect(history.replaceState.called).to.be.false;
+  });
+
+  it('keeps the redirects of instances with another namespace apart', () => {
+    const firstHandler = new RedirectHandler(logger, null, new StorageNamespace({ storageNamespace: 'first' }));
+    const secondHandler = new RedirectHandler(logger, null, new StorageNamespace({ storageNamespace: 'second' }));
+    firstHandler.setRedirect('https://unit-test.com/first', 'unit-test-state');
+    secondHandler.setRedirect('https://unit-test.com/second', 'unit-test-state');
+
+    expect(secondHandler.attemptRedirect('unit-test-state').redirectUri).to.equal('https://unit-test.com/second');
+    expect(firstHandler.attemptRedirect('unit-test-state').redirectUri).to.equal('https://unit-test.com/first');
+  });
+
+  it('does not navigate to a stored redirect which is not allowed', () => {
+    localStorage.setItem('cimpress.io.auth0-sso-login.redirect.unit-test-state',
+      JSON.stringify({ redirectUri: 'https://evil.com/', appState: 'unit-test-app-state', expiresAt: Date.now() + 1000 }));
+
+    expect(new RedirectHandler(logger).attemptRedirect('unit-test-state')).to.eql({ redirectUri: null, appState: 'unit-test-app-state' });
+    expect(history.replaceState.called).to.be.false;
+  });
+});
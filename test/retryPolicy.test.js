@@ -0,0 +1,51 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import chai from 'chai';
+import RetryPolicy from '../src/retryPolicy';
+
+const expect = chai.expect;
+
+describe('retryPolicy.js', () => {
+  let sandbox;
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+  afterEach(() => sandbox.restore());
+
+  it('retries until the maximum attempts are reached', () => {
+    const policy = new RetryPolicy({ maxAttempts: 3 });
+    expect(policy.shouldRetry({ error: 'timeout' }, 1)).to.be.true;
+    expect(policy.shouldRetry({ error: 'timeout' }, 2)).to.be.true;
+    expect(policy.shouldRetry({ error: 'timeout' }, 3)).to.be.false;
+  });
+
+  it('does not retry errors which require a login or responses without tokens', () => {
+    const policy = new RetryPolicy();
+    expect(policy.shouldRetry({ error: 'login_required' }, 1)).to.be.false;
+    expect(policy.shouldRetry({ error: 'consent_required' }, 1)).to.be.false;
+    expect(policy.shouldRetry({ error: 'no_token_available', authResultError: 'unauthorized' }, 1)).to.be.false;
+    expect(new RetryPolicy({ nonRetryableErrors: ['timeout'] }).shouldRetry({ error: 'timeout' }, 1)).to.be.false;
+  });
+
+  it('asks shouldRetry for retryable errors only', () => {
+    const shouldRetry = sandbox.stub().returns(false);
+    const policy = new RetryPolicy({ shouldRetry });
+    expect(policy.shouldRetry({ error: 'timeout' }, 2)).to.be.false;
+    expect(policy.shouldRetry({ error: 'login_required' }, 1)).to.be.false;
+    expect(shouldRetry.calledOnceWithExactly({ error: 'timeout' }, 2)).to.be.true;
+  });
+
+  it('grows the delay exponentially up to the maximum delay', () => {
+    const policy = new RetryPolicy({ initialDelay: 1000, maxDelay: 5000, jitter: false });
+    expect([1, 2, 3, 4].map(attempt => policy.getDelay(attempt))).to.eql([1000, 2000, 4000, 5000]);
+  });
+
+  it('randomizes the delay between half and the full delay', () => {
+    const policy = new RetryPolicy({ initialDelay: 1000 });
+    sandbox.stub(Math, 'random').returns(0);
+    expect(policy.getDelay(2)).to.equal(1000);
+    Math.random.returns(1);
+    expect(policy.getDelay(2)).to.equal(2000);
+  });
+});
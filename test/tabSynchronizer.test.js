@@ -0,0 +1,120 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import chai from 'chai';
+import windowInteraction from '../src/window-interaction';
+import TabSynchronizer from '../src/tabSynchronizer';
+import StorageNamespace from '../src/storageNamespace';
+
+const expect = chai.expect;
+
+describe('tabSynchronizer.js', () => {
+  const logger = { log() {} };
+  let sandbox;
+  let tabs;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(windowInteraction, 'setTimeout').returns('lease-handle');
+    sandbox.stub(windowInteraction, 'clearTimeout');
+    tabs = [new TabSynchronizer(logger, true), new TabSynchronizer(logger, true)];
+  });
+
+  afterEach(() => {
+    tabs.forEach(tab => tab.close());
+    localStorage.clear();
+    sandbox.restore();
+  });
+
+  describe('publish()', () => {
+    it('delivers messages to the other tabs', async () => {
+      const received = new Promise(resolve => tabs[1].on('tokenRefreshed', resolve));
+      tabs[0].publish('tokenRefreshed', { authResult: { accessToken: 'shared-token' } });
+
+      const message = await received;
+      expect(message.authResult.accessToken).to.equal('shared-token');
+    });
+
+    it('does not send messages when disabled', () => {
+      const channel = { postMessage: sandbox.spy() };
+      const tab = new TabSynchronizer(logger, false);
+      tab.channel = channel;
+      tab.publish('logout');
+      expect(channel.postMessage.called).to.be.false;
+    });
+  });
+
+  describe('acquireRefreshOwnership()', () => {
+    it('lets only one tab own the token refresh', () => {
+      expect(tabs[0].acquireRefreshOwnership()).to.be.true;
+      expect(tabs[1].acquireRefreshOwnership()).to.be.false;
+      expect(tabs[0].acquireRefreshOwnership()).to.be.true;
+    });
+
+    it('lets a tab of another namespace own its token refresh', () => {
+      const otherTab = new TabSynchronizer(logger, true, new StorageNamespace({ storageNamespace: 'other' }));
+      tabs.push(otherTab);
+      expect(tabs[0].acquireRefreshOwnership()).to.be.true;
+      expect(otherTab.acquireRefreshOwnership()).to.be.true;
+    });
+
+    it('lets another tab take over once the owner released it', async () => {
+      const released = new Promise(resolve => tabs[1].on('refreshOwnerReleased', resolve));
+      tabs[0].acquireRefreshOwnership();
+      tabs[0].releaseRefreshOwnership();
+
+      await released;
+      expect(tabs[1].acquireRefreshOwnership()).to.be.true;
+    });
+
+    it('lets another tab take over once the lease of a closed owner expired', () => {
+      tabs[0].acquireRefreshOwnership();
+      sandbox.stub(Date, 'now').returns(Date.now() + TabSynchronizer.leaseDuration + 1);
+      expect(tabs[1].acquireRefreshOwnership()).to.be.true;
+    });
+
+    it('stops renewing the lease once another tab took it over', () => {
+      tabs[0].acquireRefreshOwnership();
+      const renewLease = windowInteraction.setTimeout.lastCall.args[0];
+      const leaseExpired = Date.now() + TabSynchronizer.leaseDuration + 1;
+      sandbox.stub(Date, 'now').returns(leaseExpired);
+      tabs[1].acquireRefreshOwnership();
+      windowInteraction.setTimeout.resetHistory();
+
+      renewLease();
+      expect(tabs[0].leaseHandle).to.be.null;
+      expect(windowInteraction.setTimeout.called).to.be.false;
+      expect(tabs[0].acquireRefreshOwnership()).to.be.false;
+    });
+
+    it('takes the lease while holding a lock where the browser supports it', async () => {
+      const request = sandbox.stub().callsFake((name, callback) => Promise.resolve(callback()));
+      Object.defineProperty(navigator, 'locks', { value: { request }, configurable: true });
+      try {
+        expect(await tabs[0].requestRefreshOwnership()).to.be.true;
+        expect(await tabs[1].requestRefreshOwnership()).to.be.false;
+        expect(request.calledTwice).to.be.true;
+        expect(request.firstCall.args[0]).to.equal(tabs[0].refreshLockName);
+      } finally {
+        delete navigator.locks;
+      }
+    });
+
+    it('leaves the lease to another tab which took it at the same time', () => {
+      // the other tab writes its lease right after this one
+      const storagePrototype = Object.getPrototypeOf(localStorage);
+      const setItem = storagePrototype.setItem;
+      sandbox.stub(storagePrototype, 'setItem').callsFake((key, value) => {
+        setItem.call(localStorage, key, key === tabs[0].refreshOwnerKey ? JSON.stringify({ tabId: tabs[1].tabId, expiresAt: Date.now() + 10000 }) : value);
+      });
+
+      expect(tabs[0].acquireRefreshOwnership()).to.be.false;
+      expect(tabs[0].leaseHandle).to.be.null;
+    });
+
+    it('always owns the token refresh when disabled', () => {
+      tabs[0].acquireRefreshOwnership();
+      expect(new TabSynchronizer(logger, false).acquireRefreshOwnership()).to.be.true;
+    });
+  });
+});
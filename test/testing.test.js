@@ -0,0 +1,129 @@
+/* eslint-disable no-unused-expressions */
+/* global dom */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import chai from 'chai';
+import jwtManager from 'jsonwebtoken';
+import Auth, { LoginRequiredError, RenewTimeoutError, UnverifiedEmailError } from '../src/auth0-sso-login';
+import { FakeTenant, FakeClock } from '../src/testing';
+
+const expect = chai.expect;
+
+describe('testing.js', () => {
+  let tenant;
+  let clock;
+  beforeEach(() => {
+    tenant = new FakeTenant({ claims: { name: 'Unit Test' } });
+    clock = new FakeClock().install();
+  });
+  afterEach(() => {
+    tenant.uninstall();
+    clock.uninstall();
+    dom.reconfigure({ url: 'https://unit-test.com/' });
+  });
+
+  function createAuth(config) {
+    const auth = new Auth(tenant.getConfig(Object.assign({ hooks: { log() {} } }, config)));
+    tenant.install(auth);
+    return auth;
+  }
+
+  it('logs in silently with the SSO session of the tenant', async () => {
+    const auth = createAuth();
+    await auth.ensureLoggedIn({ enabledHostedLogin: false });
+
+    expect(auth.getClaims('id')).to.include({ name: 'Unit Test', sub: 'auth0|fake-user', aud: tenant.clientId });
+    expect(auth.getClaims('access').aud).to.include(tenant.audience);
+    expect(tenant.getRequests('checkSession')).to.have.lengthOf(1);
+    expect(await auth.getProfile()).to.include({ name: 'Unit Test' });
+  });
+
+  it('issues tokens with the configured claims and expiry', () => {
+    const authResult = tenant.issueTokens({ claims: { permissions: ['read:orders'] }, expiresIn: 60, organization: 'org_unit-test' });
+    const claims = jwtManager.verify(authResult.accessToken, tenant.publicKey, { algorithms: ['RS256'] });
+
+    expect(authResult.expiresIn).to.equal(60);
+    expect(claims.exp - claims.iat).to.equal(60);
+    expect(claims).to.include({ org_id: 'org_unit-test', iss: `https://${tenant.domain}/` });
+    expect(claims.permissions).to.eql(['read:orders']);
+  });
+
+  it('issues tokens which are validated with the signing keys of the tenant', async () => {
+    const auth = createAuth({ validateTokens: true });
+    await auth.ensureLoggedIn({ enabledHostedLogin: false });
+
+    expect(auth.getClaims('id').sub).to.equal('auth0|fake-user');
+    expect(tenant.getRequests('jwks')).to.have.lengthOf(1);
+    expect(tenant.getRequests('jwks')[0].url).to.equal(`https://${tenant.domain}/.well-known/jwks.json`);
+
+    const otherTenant = new FakeTenant({ domain: tenant.domain, clientId: tenant.clientId });
+    const error = await auth.validateAuthResult(otherTenant.issueTokens()).catch(e => e);
+    expect(error.errorCode).to.equal('TokenValidationFailed');
+  });
+
+  it('rejects with login_required without an SSO session', async () => {
+    tenant.logout();
+    const auth = createAuth();
+
+    const error = await auth.ensureLoggedIn({ enabledHostedLogin: false }).catch(e => e);
+    expect(error).to.be.instanceOf(LoginRequiredError);
+  });
+
+  it('simulates timeouts, which are retried with the fake clock', async () => {
+    tenant.simulate('timeout', { times: 2 });
+    const auth = createAuth({ retryPolicy: { maxAttempts: 3, jitter: false } });
+
+    const loginPromise = auth.ensureLoggedIn({ enabledHostedLogin: false });
+    await clock.tick(10000);
+    await loginPromise;
+    expect(tenant.getRequests('checkSession')).to.have.lengthOf(3);
+
+    tenant.simulate('timeout', { times: 3 });
+    const refreshErrorPromise = auth.ensureLoggedIn({ enabledHostedLogin: false, forceTokenRefresh: true }).catch(e => e);
+    await clock.tick(10000);
+    expect(await refreshErrorPromise).to.be.instanceOf(RenewTimeoutError);
+  });
+
+  it('refreshes the token when the clock reaches the scheduled refresh', async () => {
+    const auth = createAuth();
+    await auth.ensureLoggedIn({ enabledHostedLogin: false });
+    const firstToken = auth.getIdToken();
+
+    await clock.tick(60 * 1000);
+    expect(tenant.getRequests('checkSession')).to.have.lengthOf(1);
+    await clock.tickToTokenRefresh(auth);
+    expect(tenant.getRequests('checkSession')).to.have.lengthOf(2);
+    expect(auth.getIdToken()).to.not.equal(firstToken);
+  });
+
+  it('returns from the universal login with the tokens of the PKCE flow', async () => {
+    tenant.logout();
+    const auth = createAuth({ flow: 'pkce' });
+
+    await auth.ensureLoggedIn({ enabledHostedLogin: true, redirectUri: 'https://unit-test.com/orders' });
+    expect(tenant.getRequests('authorize')).to.have.lengthOf(1);
+    expect(window.location.search).to.include('code=');
+
+    const redirect = await auth.ensureLoggedIn({ enabledHostedLogin: true, redirectUri: 'https://unit-test.com/orders' });
+    expect(redirect.redirectUri).to.equal('https://unit-test.com/orders');
+    expect(auth.getClaims('id').sub).to.equal('auth0|fake-user');
+    expect(window.location.search).to.equal('');
+  });
+
+  it('returns from the universal login with an unverified email', async () => {
+    tenant.logout().simulate('unverifiedEmail');
+    const auth = createAuth();
+
+    await auth.ensureLoggedIn();
+    const error = await auth.ensureLoggedIn().catch(e => e);
+    expect(error).to.be.instanceOf(UnverifiedEmailError);
+  });
+
+  it('records the logout and ends the SSO session', async () => {
+    const auth = createAuth();
+    await auth.ensureLoggedIn({ enabledHostedLogin: false });
+    auth.logout('https://unit-test.com/');
+
+    expect(tenant.getRequests('logout')[0].url).to.include(`https://${tenant.domain}/v2/logout`);
+    expect(tenant.loggedIn).to.be.false;
+  });
+});
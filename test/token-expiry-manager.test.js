@@ -5,6 +5,7 @@ import sinonChai from 'sinon-chai';
 import chai from 'chai';
 import windowInteraction from '../src/window-interaction';
 import TokenExpiryManager from '../src/token-expiry-manager';
+import jwtManager from 'jsonwebtoken';
 
 const expect = chai.expect;
 chai.use(sinonChai);
@@ -44,13 +45,13 @@ describe('token-expiry-manager.js', () => {
       const expectedExpiresAt = 20000;
       const expectedRefreshDelay = 10000;
       const expectedRefreshHandle = 'test-handle';
-      const expectedRefreshFunction = () => {};
+      const expectedRefreshFunction = sandbox.stub();
 
       const dateMock = sandbox.mock(Date);
       dateMock.expects('now').returns(dateNow);
       const windowInteractionMock = sandbox.mock(windowInteraction);
-      windowInteractionMock.expects('setTimeout')
-      .withExactArgs(expectedRefreshFunction, expectedRefreshDelay).returns(expectedRefreshHandle);
+      const setTimeoutExpectation = windowInteractionMock.expects('setTimeout')
+      .withExactArgs(sinon.match.func, expectedRefreshDelay).returns(expectedRefreshHandle);
 
       const tokenExpiryManager = new TokenExpiryManager();
       tokenExpiryManager.scheduleTokenRefresh({ expiresIn: expiresIn / 1000 }, expectedRefreshFunction);
@@ -59,6 +60,40 @@ describe('token-expiry-manager.js', () => {
       expect(tokenExpiryManager.tokenRefreshHandle).to.equal(expectedRefreshHandle);
       dateMock.verify();
       windowInteractionMock.verify();
+
+      setTimeoutExpectation.firstCall.args[0]();
+      expect(expectedRefreshFunction.calledOnce).to.be.true;
+      tokenExpiryManager.cancelTokenRefresh();
+    });
+
+    it('refreshes the configured seconds ahead of the expiry', () => {
+      sandbox.stub(Date, 'now').returns(10000);
+      const setTimeoutStub = sandbox.stub(windowInteraction, 'setTimeout');
+
+      const tokenExpiryManager = new TokenExpiryManager({ refreshAhead: 60 });
+      tokenExpiryManager.scheduleTokenRefresh({ expiresIn: 3600 }, () => {});
+
+      expect(setTimeoutStub.firstCall.args[1]).to.equal(3540000);
+      tokenExpiryManager.cancelTokenRefresh();
+    });
+
+    it('uses the expiry of the access token converted with the clock skew estimated from its issue time', () => {
+      const serverNow = 1000000;
+      // the client clock is 10 minutes behind the server clock
+      sandbox.stub(Date, 'now').returns((serverNow - 600) * 1000);
+      const setTimeoutStub = sandbox.stub(windowInteraction, 'setTimeout');
+      const freshToken = jwtManager.sign({ iat: serverNow, exp: serverNow + 3600 }, 'secret');
+      // issued 30 minutes ago and expires in 30 minutes, with an outdated expiresIn
+      const oldToken = jwtManager.sign({ iat: serverNow - 1800, exp: serverNow + 1800 }, 'secret');
+
+      const tokenExpiryManager = new TokenExpiryManager({ refreshAhead: 0 });
+      tokenExpiryManager.scheduleTokenRefresh({ accessToken: freshToken, expiresIn: 3600 }, () => {});
+      expect(tokenExpiryManager.clockSkew).to.equal(600000);
+      tokenExpiryManager.scheduleTokenRefresh({ accessToken: oldToken, expiresIn: 3000 }, () => {});
+
+      expect(tokenExpiryManager.clockSkew).to.equal(600000);
+      expect(setTimeoutStub.args.map(args => args[1])).to.eql([3600000, 1800000]);
+      tokenExpiryManager.cancelTokenRefresh();
     });
 
     it('clears old and schedules new token refresh', () => {
@@ -81,6 +116,46 @@ describe('token-expiry-manager.js', () => {
       expect(tokenExpiryManager.tokenRefreshHandle).to.equal(newRefreshHandle);
       dateMock.verify();
       windowInteractionMock.verify();
+      tokenExpiryManager.cancelTokenRefresh();
+    });
+  });
+
+  describe('checkTokenRefresh()', () => {
+    it('refreshes at once when the refresh is due but the timer did not fire', () => {
+      const dateStub = sandbox.stub(Date, 'now').returns(10000);
+      sandbox.stub(windowInteraction, 'setTimeout').returns('refresh-handle');
+      sandbox.stub(windowInteraction, 'clearTimeout');
+      const refreshFunction = sandbox.stub();
+
+      const tokenExpiryManager = new TokenExpiryManager();
+      tokenExpiryManager.scheduleTokenRefresh({ expiresIn: 3600 }, refreshFunction);
+      tokenExpiryManager.checkTokenRefresh();
+      expect(refreshFunction.called).to.be.false;
+
+      // the device slept past the scheduled refresh
+      dateStub.returns(10000 + 3600 * 1000);
+      tokenExpiryManager.checkTokenRefresh();
+      tokenExpiryManager.checkTokenRefresh();
+      expect(refreshFunction.calledOnce).to.be.true;
+      expect(windowInteraction.clearTimeout.calledWith('refresh-handle')).to.be.true;
+      tokenExpiryManager.cancelTokenRefresh();
+    });
+
+    it('is called on visibilitychange, focus and online while a refresh is scheduled', () => {
+      sandbox.stub(windowInteraction, 'setTimeout');
+      const windowListeners = sandbox.spy(window, 'addEventListener');
+      const documentListeners = sandbox.spy(document, 'addEventListener');
+      const removedWindowListeners = sandbox.spy(window, 'removeEventListener');
+
+      const tokenExpiryManager = new TokenExpiryManager();
+      tokenExpiryManager.scheduleTokenRefresh({ expiresIn: 3600 }, () => {});
+      tokenExpiryManager.scheduleTokenRefresh({ expiresIn: 3600 }, () => {});
+      tokenExpiryManager.cancelTokenRefresh();
+
+      const wakeListener = tokenExpiryManager.wakeListener;
+      expect(windowListeners.args).to.eql([['focus', wakeListener], ['online', wakeListener]]);
+      expect(documentListeners.args).to.eql([['visibilitychange', wakeListener]]);
+      expect(removedWindowListeners.args).to.eql([['focus', wakeListener], ['online', wakeListener]]);
     });
   });
 
@@ -0,0 +1,68 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it, afterEach } from 'mocha';
+import chai from 'chai';
+import TokenStorage from '../src/tokenStorage';
+import StorageNamespace from '../src/storageNamespace';
+
+const expect = chai.expect;
+
+describe('tokenStorage.js', () => {
+  const logger = { log() {} };
+  const authResult = { accessToken: 'stored-access-token', idToken: 'stored-id-token' };
+
+  afterEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  ['memory', 'sessionStorage', 'localStorage'].forEach(storage => {
+    it(`stores and removes the session in ${storage}`, () => {
+      const tokenStorage = new TokenStorage(storage, logger);
+      tokenStorage.save(authResult, Date.now() + 1000, 'session-id', -5000);
+
+      expect(tokenStorage.load()).to.deep.include({ authResult, sessionId: 'session-id', clockSkew: -5000 });
+      tokenStorage.clear();
+      expect(tokenStorage.load()).to.be.null;
+    });
+  });
+
+  it('keeps the session in localStorage across instances', () => {
+    new TokenStorage('localStorage', logger).save(authResult, Date.now() + 1000, 'session-id');
+    expect(new TokenStorage('localStorage', logger).load().authResult).to.deep.equal(authResult);
+  });
+
+  it('keeps the sessions of instances with another namespace apart', () => {
+    const firstStorage = new TokenStorage('localStorage', logger, new StorageNamespace({ domain: 'unit-test.auth0.com', clientId: 'first-client' }));
+    const secondStorage = new TokenStorage('localStorage', logger, new StorageNamespace({ storageNamespace: 'second' }));
+    firstStorage.save(authResult, Date.now() + 1000, 'session-id');
+
+    expect(secondStorage.load()).to.be.null;
+    secondStorage.clear();
+    expect(firstStorage.load().authResult).to.deep.equal(authResult);
+    expect(Object.keys(localStorage)).to.eql(['cimpress.io.auth0-sso-login.unit-test.auth0.com.first-client.session']);
+  });
+
+  it('removes a session with an expired token', () => {
+    const tokenStorage = new TokenStorage('localStorage', logger);
+    tokenStorage.save(authResult, Date.now() - 1, 'session-id');
+
+    expect(tokenStorage.load()).to.be.null;
+    expect(localStorage.length).to.equal(0);
+  });
+
+  it('uses a custom storage adapter', () => {
+    const items = {};
+    const adapter = {
+      getItem: key => items[key] || null,
+      setItem(key, value) { items[key] = value; },
+      removeItem(key) { delete items[key]; }
+    };
+    new TokenStorage(adapter, logger).save(authResult, Date.now() + 1000, null);
+    expect(Object.keys(items)).to.have.length(1);
+  });
+
+  it('rejects an invalid storage', () => {
+    expect(() => new TokenStorage('cookies', logger)).to.throw(/Unknown storage/);
+    expect(() => new TokenStorage({ getItem() {} }, logger)).to.throw(/must implement/);
+  });
+});
@@ -0,0 +1,102 @@
+/* eslint-disable no-unused-expressions */
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import sinon from 'sinon';
+import chai from 'chai';
+import { generateKeyPairSync } from 'crypto';
+import jwtManager from 'jsonwebtoken';
+import windowInteraction from '../src/window-interaction';
+import TokenValidator from '../src/tokenValidator';
+
+const expect = chai.expect;
+
+const config = { clientId: 'unit-test-client', domain: 'unit-test.auth0.com', jwksUri: 'http://localhost/jwks.json' };
+const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = { keys: [Object.assign({ kid: 'unit-test-key', use: 'sig' }, publicKey.export({ format: 'jwk' }))] };
+
+function sign(claims, options = {}) {
+  const payload = Object.assign({ iss: 'https://unit-test.auth0.com/', aud: 'unit-test-client', nonce: 'unit-test-nonce' }, claims);
+  const signOptions = { algorithm: 'RS256', keyid: options.kid || 'unit-test-key' };
+  if (!payload.exp) {
+    signOptions.expiresIn = 3600;
+  }
+  return jwtManager.sign(payload, options.key || privateKey, signOptions);
+}
+
+async function expectInvalid(promise, description) {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error.errorCode).to.equal('TokenValidationFailed');
+    expect(error.errorDescription).to.match(description);
+    return;
+  }
+  throw Error('validation should have failed');
+}
+
+describe('tokenValidator.js', () => {
+  let sandbox;
+  let fetchStub;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    fetchStub = sandbox.stub(windowInteraction, 'fetch').resolves({ json: () => Promise.resolve(jwks) });
+  });
+  afterEach(() => sandbox.restore());
+
+  it('accepts a valid token and caches the signing keys', async () => {
+    const validator = new TokenValidator(config);
+    const payload = await validator.validate(sign({ sub: 'unit-test-sub' }), { audience: 'unit-test-client', nonce: 'unit-test-nonce' });
+    await validator.validate(sign({}), { audience: 'unit-test-client' });
+
+    expect(payload.sub).to.equal('unit-test-sub');
+    expect(fetchStub.calledOnceWithExactly('http://localhost/jwks.json')).to.be.true;
+  });
+
+  it('rejects a token signed with another key', () => {
+    const otherKey = generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    return expectInvalid(new TokenValidator(config).validate(sign({}, { key: otherKey }), { audience: 'unit-test-client' }), /signature/);
+  });
+
+  it('fetches the keys again for an unknown key id', async () => {
+    const validator = new TokenValidator(config);
+    await expectInvalid(validator.validate(sign({}, { kid: 'rotated-key' }), { audience: 'unit-test-client' }), /rotated-key/);
+    expect(fetchStub.calledTwice).to.be.true;
+  });
+
+  it('rejects a token of another issuer', () =>
+    expectInvalid(new TokenValidator(config).validate(sign({ iss: 'https://evil.com/' }), { audience: 'unit-test-client' }), /Issuer/));
+
+  it('accepts a token issued by another domain of the tenant', () =>
+    new TokenValidator(Object.assign({ domains: ['login.unit-test.com', 'unit-test.auth0.com'] }, config))
+    .validate(sign({ iss: 'https://login.unit-test.com/' }), { audience: 'unit-test-client' }));
+
+  it('rejects a token for another audience', () =>
+    expectInvalid(new TokenValidator(config).validate(sign({}), { audience: 'other-client' }), /Audience/));
+
+  it('rejects a token with several audiences for another authorized party', () =>
+    expectInvalid(new TokenValidator(config).validate(sign({ aud: ['unit-test-client', 'other-client'], azp: 'other-client' }), { audience: 'unit-test-client' }), /Authorized party/));
+
+  it('rejects a token with another nonce', () =>
+    expectInvalid(new TokenValidator(config).validate(sign({}), { audience: 'unit-test-client', nonce: 'other-nonce' }), /Nonce/));
+
+  it('tolerates the configured clock skew', async () => {
+    const token = sign({ exp: Math.floor(Date.now() / 1000) - 30 });
+    await new TokenValidator(Object.assign({ clockSkew: 60 }, config)).validate(token, { audience: 'unit-test-client' });
+    await expectInvalid(new TokenValidator(Object.assign({ clockSkew: 10 }, config)).validate(token, { audience: 'unit-test-client' }), /expired/);
+  });
+
+  it('rejects a token which is not signed with RS256', () =>
+    expectInvalid(new TokenValidator(config).validate(jwtManager.sign({}, 'secret'), { audience: 'unit-test-client' }), /RS256/));
+
+  it('validates the organization by its ID or name', async () => {
+    const validator = new TokenValidator(config);
+    const token = sign({ org_id: 'org_unit-test', org_name: 'unit-test' });
+    validator.validateOrganization(token, 'org_unit-test');
+    validator.validateOrganization(token, 'Unit-Test');
+
+    await expectInvalid(Promise.resolve().then(() => validator.validateOrganization(token, 'org_other')), /Organization 'org_unit-test'/);
+    await expectInvalid(Promise.resolve().then(() => validator.validateOrganization(sign({}), 'org_unit-test')), /Organization/);
+    expect(TokenValidator.matchesOrganization(null)).to.be.true;
+    expect(TokenValidator.matchesOrganization(null, 'org_unit-test')).to.be.false;
+  });
+});
@@ -0,0 +1,2 @@
+// the `auth0-sso-login/testing` entry point, see src/testing.js
+module.exports = require('./lib/testing');